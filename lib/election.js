@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Leader election by a lock
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+// const
+var REVOKE_STOPPED = 'stopped';
+var REVOKE_CLOSED = 'closed';
+
+/**
+ * Leader election of a name
+ * Candidates keep competing for the lock of name, and the holder is the leader.
+ * The leader renews the lease, and is revoked when the lease is lost (down, failover, expired or unlocked).
+ * @constructor
+ * @param {Mutex} mutex
+ * @param {string} name - name of election, main key of lock
+ * @param {Object} option - onElected(token), onRevoked(reason), leaseMs and interval (not require)
+ */
+function Election(mutex, name, option) {
+  option = option || {};
+  this.mutex = mutex;
+  this.name = name;
+  this.leaseMs = option.leaseMs || mutex.option.expiry;
+  this.interval = option.interval || mutex.option.interval;
+  this.onElected = option.onElected || function() {};
+  this.onRevoked = option.onRevoked || function() {};
+  this.unlock = null; // unlock of the lock while leading
+  this.canceler = null; // cancel token of competing lock
+  this.timer = null;
+  this.stopped = false;
+}
+
+/**
+ * Check leadership
+ * @return {boolean}
+ */
+Election.prototype.isLeader = function() {
+  return this.unlock !== null;
+};
+
+/**
+ * Start competing for leadership
+ */
+Election.prototype.start = function() {
+  var self = this;
+  if (this.stopped) {
+    return;
+  }
+
+  this.canceler = new EventEmitter();
+  this.mutex.lock(this.name, {
+    'expiry': this.leaseMs,
+    'interval': this.interval,
+    'autoRenew': true,
+    'signal': this.canceler,
+    'onLost': function(err) {
+      var unlock = self._revoke(err.reason);
+      if (unlock) {
+        // the lease may remain on a Redis which is still alive
+        unlock(function() {});
+        self._restart();
+      }
+    }
+  }, function(err, unlock) {
+    self.canceler = null;
+    if (self.stopped) {
+      return unlock && unlock(function() {});
+    }
+    if (err) {
+      if (self.mutex.closed) {
+        return self.stop();
+      }
+      self.mutex.logger.warn('election failure name = ' + self.name + ' : ' + err);
+      return self._restart();
+    }
+
+    self.unlock = unlock;
+    self.mutex.logger.info('elected name = ' + self.name + ' token = ' + unlock.token);
+    self.onElected(unlock.token);
+  });
+};
+
+/**
+ * Compete again after interval
+ */
+Election.prototype._restart = function() {
+  var self = this;
+  if (this.stopped) {
+    return;
+  }
+  clearTimeout(this.timer);
+  this.timer = setTimeout(function() {
+    self.timer = null;
+    self.start();
+  }, this.interval);
+};
+
+/**
+ * Revoke leadership
+ * @param {string} reason - down, failover, expired, unlocked, stopped or closed
+ * @return {Function} unlock of the lock, null if not leading
+ */
+Election.prototype._revoke = function(reason) {
+  var unlock = this.unlock;
+  if (!unlock) {
+    return null;
+  }
+
+  this.unlock = null;
+  this.mutex.logger.warn('revoked name = ' + this.name + ' reason = ' + reason);
+  this.onRevoked(reason);
+  return unlock;
+};
+
+/**
+ * Stop competing, and step down if leading
+ * @param {Function} callback - (not require) callback(err) after release of the lock
+ */
+Election.prototype.stop = function(callback) {
+  this.stopped = true;
+  clearTimeout(this.timer);
+  this.timer = null;
+  if (this.canceler) {
+    this.canceler.emit('abort');
+  }
+
+  var unlock = this._revoke(this.mutex.closed ? REVOKE_CLOSED : REVOKE_STOPPED);
+  if (!unlock) {
+    return callback && callback(null);
+  }
+  unlock(function(err) {
+    return callback && callback(err || null);
+  });
+};
+
+module.exports = Election;
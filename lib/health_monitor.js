@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Health monitor of stores by PING
+ */
+
+// const
+var DEFAULT_INTERVAL = 1000; // 1 sec
+var DEFAULT_TIMEOUT = 1000; // 1 sec
+var DEFAULT_FAILURE_THRESHOLD = 3; // consecutive failures of PING
+var DEFAULT_DEGRADED_LATENCY = 100; // 100 msec at the percentile
+var DEFAULT_PERCENTILE = 99;
+var DEFAULT_SAMPLES = 100; // latest 100 latencies per store
+
+/**
+ * Get percentile of sorted values
+ * @param {Array} sorted - sorted numbers
+ * @param {number} percentile - 0 ~ 100
+ * @return {number} null if empty
+ */
+function getPercentile(sorted, percentile) {
+  if (sorted.length <= 0) {
+    return null;
+  }
+  var index = Math.ceil(sorted.length * percentile / 100) - 1;
+  return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+}
+
+/**
+ * Health monitor of stores
+ * PINGs every store on a schedule. A store which does not reply within timeout failureThreshold times
+ * in a row is down, and a store whose latency at the percentile exceeds degradedLatency is degraded.
+ * @constructor
+ * @param {Object} option - interval, timeout, failureThreshold, degradedLatency, percentile and samples
+ *   (not require)
+ * @param {Function} check - check(storeIndex, callback) which PINGs a store
+ * @param {Function} report - report(storeIndex, status) with active, degraded or down
+ */
+function HealthMonitor(option, check, report) {
+  option = option || {};
+  this.interval = option.interval || DEFAULT_INTERVAL;
+  this.timeout = option.timeout || DEFAULT_TIMEOUT;
+  this.failureThreshold = option.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+  this.degradedLatency = option.degradedLatency || DEFAULT_DEGRADED_LATENCY;
+  this.percentile = option.percentile || DEFAULT_PERCENTILE;
+  this.samples = option.samples || DEFAULT_SAMPLES;
+  this.check = check;
+  this.report = report;
+  this.stores = []; // {latencies, failures, checking, lastLatency, lastCheckedAt}
+  this.timer = null;
+}
+
+/**
+ * Start PING to stores
+ * @param {number} storeCount - number of stores
+ */
+HealthMonitor.prototype.start = function(storeCount) {
+  var self = this;
+  for (var i = this.stores.length; i < storeCount; i++) {
+    this.stores.push({
+      'latencies': [],
+      'failures': 0,
+      'checking': false,
+      'lastLatency': null,
+      'lastCheckedAt': 0
+    });
+  }
+
+  this.stop();
+  var tick = function() {
+    for (var j = 0; j < self.stores.length; j++) {
+      self._check(j);
+    }
+    self.timer = setTimeout(tick, self.interval);
+    if (self.timer.unref) {
+      self.timer.unref();
+    }
+  };
+  tick();
+};
+
+/**
+ * Stop PING to stores
+ */
+HealthMonitor.prototype.stop = function() {
+  clearTimeout(this.timer);
+  this.timer = null;
+};
+
+/**
+ * PING a store and report its status
+ * @param {number} storeIndex - index of store
+ */
+HealthMonitor.prototype._check = function(storeIndex) {
+  var self = this;
+  var store = this.stores[storeIndex];
+  if (store.checking) {
+    return; // previous PING is still waiting within timeout
+  }
+
+  store.checking = true;
+  var startTime = Date.now();
+  var finished = false;
+  var finish = function(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    store.checking = false;
+    store.lastCheckedAt = Date.now();
+
+    if (err) {
+      // a single slow PING keeps the status
+      if (++store.failures >= self.failureThreshold) {
+        self.report(storeIndex, 'down');
+      }
+      return;
+    }
+    store.failures = 0;
+    store.lastLatency = Date.now() - startTime;
+    store.latencies.push(store.lastLatency);
+    if (store.latencies.length > self.samples) {
+      store.latencies.shift();
+    }
+    var latency = self._getLatency(storeIndex);
+    return self.report(storeIndex, latency['p' + self.percentile] > self.degradedLatency ? 'degraded' : 'active');
+  };
+
+  var timer = setTimeout(function() {
+    finish(new Error('PING is timed out. : storeIndex = ' + storeIndex + ' timeout = ' + self.timeout));
+  }, this.timeout);
+  this.check(storeIndex, finish);
+};
+
+/**
+ * Get latency percentiles of a store
+ * @param {number} storeIndex - index of store
+ * @return {Object} p50, p90, p99 and the percentile of option (msec), null if no sample
+ */
+HealthMonitor.prototype._getLatency = function(storeIndex) {
+  var sorted = this.stores[storeIndex].latencies.slice().sort(function(a, b) {
+    return a - b;
+  });
+  var latency = {
+    'p50': getPercentile(sorted, 50),
+    'p90': getPercentile(sorted, 90),
+    'p99': getPercentile(sorted, 99)
+  };
+  latency['p' + this.percentile] = getPercentile(sorted, this.percentile);
+  return latency;
+};
+
+/**
+ * Get health of a store
+ * @param {number} storeIndex - index of store
+ * @return {Object} latency, lastLatency, failures (consecutive) and lastCheckedAt, null if not monitored
+ */
+HealthMonitor.prototype.getHealth = function(storeIndex) {
+  var store = this.stores[storeIndex];
+  if (!store) {
+    return null;
+  }
+  return {
+    'latency': this._getLatency(storeIndex),
+    'lastLatency': store.lastLatency,
+    'failures': store.failures,
+    'lastCheckedAt': store.lastCheckedAt
+  };
+};
+
+module.exports = HealthMonitor;
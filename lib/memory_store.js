@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Store of locks in process memory
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// const
+var COMMANDS = ['get', 'ping', 'subscribe', 'unsubscribe']; // commands of send_command
+
+/**
+ * Store of locks in process memory
+ * Same interface as RedisStore, for tests and single process without Redis.
+ * Keys expire like Redis, and release notifications are emitted as message events.
+ * Commands of send_command are get, ping, subscribe and unsubscribe only,
+ * so fair lock, lockMany, rw lock, semaphore, forceUnlock, takeover, list, audit log, barrier and latch are not supported.
+ * @constructor
+ */
+function MemoryStore() {
+  EventEmitter.call(this);
+  this.entries = {};
+  this.connected = true;
+  this.subscriber = this; // release notifications are emitted by the store itself
+}
+util.inherits(MemoryStore, EventEmitter);
+
+/**
+ * Get an entry which is not expired
+ * @param {string} key
+ * @return {Object} {value, expireAt}, null if not exists
+ */
+MemoryStore.prototype._get = function(key) {
+  if (!this.entries.hasOwnProperty(key)) {
+    return null;
+  }
+
+  var entry = this.entries[key];
+  if (entry.expireAt !== null && entry.expireAt <= Date.now()) {
+    delete this.entries[key];
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Set an entry
+ * @param {string} key
+ * @param {*} value
+ * @param {number} expiry - msec, null is no expiry
+ */
+MemoryStore.prototype._set = function(key, value, expiry) {
+  this.entries[key] = {
+    'value': value,
+    'expireAt': expiry === null ? null : Date.now() + Number(expiry)
+  };
+};
+
+/**
+ * Call callback asynchronously like Redis
+ * @param {Function} callback
+ * @param {Error} err
+ * @param {*} result
+ */
+MemoryStore.prototype._reply = function(callback, err, result) {
+  if (!callback) {
+    return;
+  }
+  if (!this.connected) {
+    err = new Error('MemoryStore is closed.');
+    result = null;
+  }
+  setImmediate(callback, err, result);
+};
+
+/**
+ * Set a lock key if not exists, and increment its fencing token
+ * With holdsKey, the holder of the same value re-acquires the lock and increments hold count.
+ * Re-acquisition extends expiry, but never shortens it.
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {number} expiry - expiry of lock (msec)
+ * @param {string} fencingKey - key of fencing token
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback - callback(err, token), token is 0 if the key is held
+ */
+MemoryStore.prototype.acquire = function(lockKey, lockValue, expiry, fencingKey, holdsKey, callback) {
+  var entry = this._get(lockKey);
+  var fencing = this._get(fencingKey);
+  if (entry) {
+    if (!holdsKey || entry.value !== lockValue) {
+      return this._reply(callback, null, 0);
+    }
+    var holds = this._get(holdsKey);
+    var expireAt = Date.now() + Number(expiry);
+    entry.expireAt = Math.max(entry.expireAt, expireAt);
+    this._set(holdsKey, (holds ? holds.value : 0) + 1, null);
+    this.entries[holdsKey].expireAt = Math.max(holds ? holds.expireAt : 0, expireAt);
+    return this._reply(callback, null, fencing ? fencing.value : 1);
+  }
+
+  this._set(lockKey, lockValue, expiry);
+  if (holdsKey) {
+    this._set(holdsKey, 1, expiry);
+  }
+  var token = (fencing ? fencing.value : 0) + 1;
+  this._set(fencingKey, token, null);
+  return this._reply(callback, null, token);
+};
+
+/**
+ * Delete a lock key if the value is held, and emit release notification
+ * With holdsKey, hold count is decremented and only the last release deletes the key.
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {string} channel - channel of release notification
+ * @param {Function} callback - callback(err, result), result is 0 if the value is not held
+ */
+MemoryStore.prototype.release = function(lockKey, lockValue, holdsKey, channel, callback) {
+  var entry = this._get(lockKey);
+  if (!entry || entry.value !== lockValue) {
+    return this._reply(callback, null, 0);
+  }
+  if (holdsKey) {
+    var holds = this._get(holdsKey);
+    if (holds && --holds.value > 0) {
+      return this._reply(callback, null, 1);
+    }
+    delete this.entries[holdsKey];
+  }
+
+  delete this.entries[lockKey];
+  this.emit('message', channel, lockKey);
+  return this._reply(callback, null, 1);
+};
+
+/**
+ * Set expiry of a lock key if the value is held
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {number} expiry - new expiry (msec)
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback - callback(err, result), result is 0 if the value is not held
+ */
+MemoryStore.prototype.extend = function(lockKey, lockValue, expiry, holdsKey, callback) {
+  var entry = this._get(lockKey);
+  if (!entry || entry.value !== lockValue) {
+    return this._reply(callback, null, 0);
+  }
+
+  var holds = holdsKey ? this._get(holdsKey) : null;
+  if (holds) {
+    holds.expireAt = Date.now() + Number(expiry);
+  }
+  entry.expireAt = Date.now() + Number(expiry);
+  return this._reply(callback, null, 1);
+};
+
+/**
+ * Raise fencing token to a token if it is lower
+ * @param {string} fencingKey - key of fencing token
+ * @param {number} token
+ * @param {Function} callback - callback(err, result)
+ */
+MemoryStore.prototype.raiseToken = function(fencingKey, token, callback) {
+  var fencing = this._get(fencingKey);
+  if (!fencing || fencing.value < Number(token)) {
+    this._set(fencingKey, Number(token), null);
+  }
+  return this._reply(callback, null, 1);
+};
+
+/**
+ * Get value and remaining time of a lock key
+ * @param {string} lockKey - key of lock
+ * @param {Function} callback - callback(err, {value, pttl}), pttl is -2 if not exists, -1 if no expiry
+ */
+MemoryStore.prototype.inspect = function(lockKey, callback) {
+  var entry = this._get(lockKey);
+  var pttl = -2;
+  if (entry) {
+    pttl = entry.expireAt === null ? -1 : entry.expireAt - Date.now();
+  }
+  return this._reply(callback, null, {
+    'value': entry ? String(entry.value) : null,
+    'pttl': pttl
+  });
+};
+
+/**
+ * Check that a raw command is supported by send_command
+ * @param {string} command
+ * @return {boolean}
+ */
+MemoryStore.prototype.hasCommand = function(command) {
+  return COMMANDS.indexOf(String(command).toLowerCase()) >= 0;
+};
+
+/**
+ * Send a raw command
+ * @param {string} command - get, ping, subscribe or unsubscribe
+ * @param {Array} args - arguments of command
+ * @param {Function} callback
+ */
+MemoryStore.prototype.send_command = function(command, args, callback) {
+  switch (String(command).toLowerCase()) {
+    case 'get':
+      var entry = this._get(args[0]);
+      return this._reply(callback, null, entry ? String(entry.value) : null);
+    case 'ping':
+      return this._reply(callback, null, 'PONG');
+    case 'subscribe':
+    case 'unsubscribe':
+      return this._reply(callback, null, args.length);
+    default:
+      return this._reply(callback, new Error('Command is not supported by MemoryStore. : command = ' + command), null);
+  }
+};
+
+/**
+ * Close the store
+ * Keys are kept, but every command fails after quit.
+ * @param {Function} callback - (not require)
+ */
+MemoryStore.prototype.quit = function(callback) {
+  this.connected = false;
+  this.emit('end');
+  if (callback) {
+    setImmediate(callback, null, 'OK');
+  }
+};
+
+module.exports = MemoryStore;
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Metrics of locks in Prometheus text format
+ */
+
+// const
+var DEFAULT_PREFIX = 'lockman_';
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+var FAILURE_EVENTS = ['timeout', 'blocked', 'alreadyUnlocked'];
+
+/**
+ * Escape a label value of Prometheus
+ * @param {string} value
+ * @return {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render labels of Prometheus
+ * @param {Object} labels - {name: value}
+ * @return {string} {name="value",...}
+ */
+function renderLabels(labels) {
+  var pairs = Object.keys(labels).map(function(name) {
+    return name + '="' + escapeLabel(labels[name]) + '"';
+  });
+  return '{' + pairs.join(',') + '}';
+}
+
+/**
+ * Metrics collector of a Mutex
+ * Acquisition latency and hold time histograms, contention and failure counters labeled by key.
+ * key is the main key of lock, option.label(event) replaces it (e.g. to reduce cardinality).
+ * @constructor
+ * @param {Mutex} mutex
+ * @param {Object} option - prefix, buckets (seconds) and label (not require)
+ */
+function Metrics(mutex, option) {
+  var self = this;
+  option = option || {};
+  this.prefix = option.prefix || DEFAULT_PREFIX;
+  this.buckets = (option.buckets || DEFAULT_BUCKETS).slice().sort(function(a, b) {
+    return a - b;
+  });
+  this.label = option.label || function(event) {
+    return event.key;
+  };
+  this.acquireSeconds = {};
+  this.holdSeconds = {};
+  this.contended = {};
+  this.failures = {};
+
+  mutex.on('acquired', function(event) {
+    self._observe(self.acquireSeconds, self._getLabel(event), event.waitTime / 1000);
+  });
+  mutex.on('released', function(event) {
+    self._observe(self.holdSeconds, self._getLabel(event), event.holdTime / 1000);
+  });
+  mutex.on('contended', function(event) {
+    var key = self._getLabel(event);
+    self.contended[key] = (self.contended[key] || 0) + 1;
+  });
+  FAILURE_EVENTS.forEach(function(reason) {
+    mutex.on(reason, function(event) {
+      var key = self._getLabel(event);
+      var failures = self.failures[key] = self.failures[key] || {};
+      failures[reason] = (failures[reason] || 0) + 1;
+    });
+  });
+}
+
+/**
+ * Get label value of an event
+ * @param {Object} event
+ * @return {string}
+ */
+Metrics.prototype._getLabel = function(event) {
+  var label = this.label(event);
+  return label === undefined || label === null ? '' : String(label);
+};
+
+/**
+ * Add a value to a histogram
+ * @param {Object} histograms - histograms by label
+ * @param {string} key - label value
+ * @param {number} value - seconds
+ */
+Metrics.prototype._observe = function(histograms, key, value) {
+  var histogram = histograms[key];
+  if (!histogram) {
+    histogram = histograms[key] = {
+      'counts': this.buckets.map(function() {
+        return 0;
+      }),
+      'sum': 0,
+      'count': 0
+    };
+  }
+
+  for (var i = 0; i < this.buckets.length; i++) {
+    if (value <= this.buckets[i]) {
+      histogram.counts[i]++;
+    }
+  }
+  histogram.sum += value;
+  histogram.count++;
+};
+
+/**
+ * Render histograms
+ * @param {string} name - name of metric
+ * @param {string} help
+ * @param {Object} histograms - histograms by label
+ * @return {Array} lines
+ */
+Metrics.prototype._renderHistogram = function(name, help, histograms) {
+  var self = this;
+  var lines = [
+    '# HELP ' + name + ' ' + help,
+    '# TYPE ' + name + ' histogram'
+  ];
+  Object.keys(histograms).sort().forEach(function(key) {
+    var histogram = histograms[key];
+    self.buckets.forEach(function(bucket, i) {
+      lines.push(name + '_bucket' + renderLabels({ 'key': key, 'le': bucket }) + ' ' + histogram.counts[i]);
+    });
+    lines.push(name + '_bucket' + renderLabels({ 'key': key, 'le': '+Inf' }) + ' ' + histogram.count);
+    lines.push(name + '_sum' + renderLabels({ 'key': key }) + ' ' + histogram.sum);
+    lines.push(name + '_count' + renderLabels({ 'key': key }) + ' ' + histogram.count);
+  });
+  return lines;
+};
+
+/**
+ * Render metrics in Prometheus text format
+ * @return {string}
+ */
+Metrics.prototype.render = function() {
+  var self = this;
+  var lines = [];
+  lines = lines.concat(this._renderHistogram(this.prefix + 'acquire_seconds',
+    'Time to acquire a lock.', this.acquireSeconds));
+  lines = lines.concat(this._renderHistogram(this.prefix + 'hold_seconds',
+    'Time from acquisition to release of a lock.', this.holdSeconds));
+
+  var contended = this.prefix + 'contended_total';
+  lines.push('# HELP ' + contended + ' Acquisitions which found the lock held.');
+  lines.push('# TYPE ' + contended + ' counter');
+  Object.keys(this.contended).sort().forEach(function(key) {
+    lines.push(contended + renderLabels({ 'key': key }) + ' ' + self.contended[key]);
+  });
+
+  var failures = this.prefix + 'failures_total';
+  lines.push('# HELP ' + failures + ' Lock failures by reason (timeout, blocked, alreadyUnlocked).');
+  lines.push('# TYPE ' + failures + ' counter');
+  Object.keys(this.failures).sort().forEach(function(key) {
+    Object.keys(self.failures[key]).sort().forEach(function(reason) {
+      lines.push(failures + renderLabels({ 'key': key, 'reason': reason }) + ' ' + self.failures[key][reason]);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = Metrics;
@@ -4,38 +4,214 @@
  */
 
 var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var os = require('os');
+var util = require('util');
+var AsyncLocalStorage = null;
+try {
+  AsyncLocalStorage = require('async_hooks').AsyncLocalStorage || null;
+} catch (e) {
+  // node without async_hooks, runAsOwner is not supported
+}
 var RedisSentinel = require('redis-sentinel-client');
+var HashRing = require('./ring');
+var ModuloRing = HashRing.ModuloRing;
+var RedisStore = require('./redis_store');
+var MemoryStore = require('./memory_store');
+var Metrics = require('./metrics');
+var RetryStrategy = require('./retry_strategy');
+var HealthMonitor = require('./health_monitor');
+var Election = require('./election');
 
 // const
-var MAX_STORES = 256;
 var KEY_SEPARATOR = '-';
 var STORE_STATUS_UNINIT = 'uninit';
 var STORE_STATUS_ACTIVE = 'active';
+var STORE_STATUS_DEGRADED = 'degraded'; // slow, but locks are kept
 var STORE_STATUS_DOWN = 'down';
 var STORE_STATUS_FAILOVER = 'failover';
 var STORE_STATUS_UNKNOWN = 'unknown';
+var MODE_SHARD = 'shard'; // a lock key is set to one Redis
+var MODE_QUORUM = 'quorum'; // a lock key is set to the majority of Redis
+var CLOCK_DRIFT_FACTOR = 0.01;
+var DEFAULT_NODE_ID_PREFIX = 'Redis_';
+var PREVIOUS_NODES_MODULO = 'modulo'; // hashing of versions before the ring
+var RW_LOCK_READ = 'read';
+var RW_LOCK_WRITE = 'write';
+var RW_KEY_WRITER = ':writer';
+var RW_KEY_READERS = ':readers';
+var RW_KEY_PENDING = ':pending';
+var RW_PENDING_INTERVALS = 3; // pending writer flag expires after 3 retry intervals
+var SEMAPHORE_KEY = ':semaphore';
+var BARRIER_KEY = ':barrier';
+var BARRIER_KEY_ARRIVED = ':arrived';
+var BARRIER_KEY_GENERATION = ':generation';
+var LATCH_KEY = ':latch';
+var LATCH_OPEN_EXPIRY = 24 * 60 * 60 * 1000; // an opened latch stays open for a day by default
+var RELEASE_CHANNEL = ':released';
+var FAIR_KEY_QUEUE = ':queue';
+var FAIR_KEY_HEARTBEAT = ':heartbeat';
+var FAIR_KEY_TICKET = ':ticket';
+var FAIR_HEARTBEAT_INTERVALS = 3; // queued waiter expires after 3 retry intervals
+var FENCING_KEY = ':fencing';
+var REENTRANT_KEY_HOLDS = ':holds';
+var REENTRANT_VALUE_PREFIX = 'owner:';
+var SCAN_COUNT = 100;
+var STORE_METHODS = ['on', 'acquire', 'release', 'extend', 'inspect', 'send_command', 'quit']; // store interface
+var AUDIT_KEY = ':audit';
+var AUDIT_LENGTH = 100; // latest 100 entries per lock key
+var AUDIT_ACTION_FORCE_UNLOCK = 'forceUnlock';
+var AUDIT_ACTION_TAKEOVER = 'takeover';
 
 var DEFAULT_REQEST_RETRY = null; // no limit
 var DEFAULT_REQEST_INTERVAL = 100; // 100 msec
+var DEFAULT_REQEST_RETRY_STRATEGY = 'fixed';
+var DEFAULT_REQEST_MAX_INTERVAL = 3000; // 3 sec, cap of exponential and jitter
+var DEFAULT_REQEST_ACQUIRE_TIMEOUT = null; // no limit
 
 var DEFAULT_LOCK_EXPIRY = 10000; // 10 sec
 var DEFAULT_LOCK_KEY_PREFIX = 'LOCKMAN#';
 var DEFAULT_LOCK_VALUE_PREFIX = null;
 var DEFAULT_LOCK_VALUE_LENGTH = 12; // Accuracy of a random value
 
+// redis lua script which sets now (msec) by the clock of Redis, not by clocks of clients.
+// replicate_commands is required before writes by Redis < 5.
+var LUA_NOW =
+  'if redis.replicate_commands then' + '\n' +
+  '    redis.replicate_commands()' + '\n' +
+  'end' + '\n' +
+  'local time = redis.call("time")' + '\n' +
+  'local now = tonumber(time[1]) * 1000.0 + math.floor(tonumber(time[2]) / 1000)' + '\n';
+
+/**
+ * Call function with callback, or return Promise when callback is omitted
+ * @param {Function} callback - (not require)
+ * @param {Function} fn - function(callback)
+ * @return {Promise|undefined}
+ */
+function callbackOrPromise(callback, fn) {
+  if (typeof callback === 'function') {
+    fn(callback);
+    return undefined;
+  }
+
+  return new Promise(function(resolve, reject) {
+    fn(function(err, result) {
+      if (err) {
+        return reject(err);
+      }
+      return resolve(result);
+    });
+  });
+}
+
+/**
+ * Call function with callback, or return Promise whose rejection is logged when callback is omitted
+ * For calls which ignored errors without callback before Promise (setup and release of locks),
+ * fire-and-forget does not cause unhandled rejection. await still gets the rejection.
+ * @param {Function} callback - (not require)
+ * @param {Mutex} mutex - logger of the rejection
+ * @param {Function} fn - function(callback)
+ * @return {Promise|undefined}
+ */
+function callbackOrHandledPromise(callback, mutex, fn) {
+  var promise = callbackOrPromise(callback, fn);
+  if (promise) {
+    promise.catch(function(err) {
+      mutex.logger.error('error without callback : ' + err);
+    });
+  }
+  return promise;
+}
+
+/**
+ * Listen abort of AbortSignal or compatible cancel token (EventEmitter which emits abort)
+ * @param {AbortSignal} signal
+ * @param {Function} listener
+ */
+function addAbortListener(signal, listener) {
+  if (typeof signal.addEventListener === 'function') {
+    signal.addEventListener('abort', listener);
+  } else if (typeof signal.on === 'function') {
+    signal.on('abort', listener);
+  }
+}
+
+/**
+ * Stop listening abort
+ * @param {AbortSignal} signal
+ * @param {Function} listener
+ */
+function removeAbortListener(signal, listener) {
+  if (typeof signal.removeEventListener === 'function') {
+    signal.removeEventListener('abort', listener);
+  } else if (typeof signal.removeListener === 'function') {
+    signal.removeListener('abort', listener);
+  }
+}
+
+/**
+ * Create expiry rules of keys
+ * expiryOfKey is {pattern: expiry} or [[pattern, expiry], ...], pattern is a glob-style string (* and ?) or RegExp.
+ * @param {Object|Array} expiryOfKey
+ * @return {Array} [{pattern, regexp, expiry}, ...] in order of precedence
+ */
+function createExpiryRules(expiryOfKey) {
+  var pairs = expiryOfKey instanceof Array ? expiryOfKey : Object.keys(expiryOfKey || {}).map(function(pattern) {
+    return [pattern, expiryOfKey[pattern]];
+  });
+  return pairs.map(function(pair) {
+    var pattern = pair[0];
+    var regexp = pattern;
+    if (!(pattern instanceof RegExp)) {
+      regexp = new RegExp('^' + String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+    }
+    return {
+      'pattern': pattern,
+      'regexp': regexp,
+      'expiry': pair[1]
+    };
+  });
+}
+
+/**
+ * Result of tryLock when the lock is held
+ * @constructor
+ * @param {string} key - main key
+ * @param {string} lockKey - key of lock
+ * @param {string} value - value of the holder
+ * @param {number} pttl - remaining time of the lock (msec), -1 if no expiry
+ */
+function LockBusy(key, lockKey, value, pttl) {
+  this.busy = true;
+  this.key = key;
+  this.lockKey = lockKey;
+  this.value = value;
+  this.pttl = pttl;
+}
+
 /**
  * Distributed locks
+ * Emits acquired, contended, retry, timeout, released, alreadyUnlocked, blocked and storeStatus events.
  * @constructor
  */
 function Mutex() {
+  EventEmitter.call(this);
   this.option = {
     'retry': DEFAULT_REQEST_RETRY,
     'interval': DEFAULT_REQEST_INTERVAL,
+    'retryStrategy': DEFAULT_REQEST_RETRY_STRATEGY,
+    'maxInterval': DEFAULT_REQEST_MAX_INTERVAL,
+    'acquireTimeout': DEFAULT_REQEST_ACQUIRE_TIMEOUT,
     'expiry': DEFAULT_LOCK_EXPIRY,
     'expiryOfKey': {},
+    'maxExpiry': null, // cap of option.expiry of a call and extend
     'keyPrefix': DEFAULT_LOCK_KEY_PREFIX,
     'valuePrefix': DEFAULT_LOCK_VALUE_PREFIX,
     'valueLength': DEFAULT_LOCK_VALUE_LENGTH,
+    'mode': MODE_SHARD,
+    'health': null, // option of HealthMonitor, true for default
     'redis': {
       'sclients': [
         {
@@ -49,6 +225,19 @@ function Mutex() {
   };
   this.stores = [];
   this.storeStatus = [];
+  this.ring = null;
+  this.previousRing = null; // ring before topology change (migration)
+  this.leases = [];
+  this.expiryRules = []; // compiled expiryOfKey
+  this.heldLocks = []; // targets of acquired locks which are not released yet
+  this.waiters = []; // acquisitions in retry loop
+  this.ownedClients = []; // redis clients created by Mutex (sclients)
+  this.closed = false;
+  this.healthMonitor = null;
+  this.elections = []; // elections which are not stopped
+  this.ownerStorage = AsyncLocalStorage ? new AsyncLocalStorage() : null; // owner of reentrant locks in async context
+  this.subscribers = [];
+  this.releaseListeners = [];
   this.logger = {
     debug: console.log,
     info: console.info,
@@ -56,6 +245,7 @@ function Mutex() {
     error: console.error
   };
 }
+util.inherits(Mutex, EventEmitter);
 
 /**
  * Create lock key
@@ -86,41 +276,207 @@ Mutex.prototype._createLockValue = function() {
   return value;
 };
 
+/**
+ * Get owner of reentrant lock
+ * option.owner, or owner of async context by runAsOwner
+ * @param {Object} option - option of lock
+ * @return {string} owner, null if not reentrant
+ */
+Mutex.prototype._getOwner = function(option) {
+  if (option.owner !== undefined && option.owner !== null) {
+    return String(option.owner);
+  }
+  var owner = this.ownerStorage ? this.ownerStorage.getStore() : undefined;
+  return owner === undefined || owner === null ? null : String(owner);
+};
+
+/**
+ * Create lock value of an owner
+ * The value is same every time, so the owner re-acquires the lock.
+ * @param {string} owner
+ * @return {string} value - value of lock
+ */
+Mutex.prototype._createOwnerValue = function(owner) {
+  return (this.option.valuePrefix || '') + REENTRANT_VALUE_PREFIX + owner;
+};
+
 /**
  * Get index of Redis which sets a lock key
  * @param {string} lockKey - key of lock
  */
 Mutex.prototype._getStoreIndex = function(lockKey) {
-  if (this.stores.length <= 0) {
+  if (this.stores.length <= 0 || !this.ring) {
+    return 0;
+  }
+
+  return this.ring.get(lockKey);
+};
+
+/**
+ * Get indexes of Redis which set a lock key
+ * Both new and old owners while migration, all Redis in quorum mode.
+ * @param {string} lockKey - key of lock
+ * @return {Array} indexes of Redis
+ */
+Mutex.prototype._getStoreIndexes = function(lockKey) {
+  if (this.option.mode !== MODE_QUORUM) {
+    var storeIndexes = [this._getStoreIndex(lockKey)];
+    if (this.previousRing) {
+      var previousIndex = this.previousRing.get(lockKey);
+      if (previousIndex !== storeIndexes[0]) {
+        storeIndexes.push(previousIndex);
+      }
+    }
+    return storeIndexes;
+  }
+
+  var allStoreIndexes = [];
+  for (var i = 0; i < Math.max(this.stores.length, 1); i++) {
+    allStoreIndexes.push(i);
+  }
+  return allStoreIndexes;
+};
+
+/**
+ * Check that a lock key is set to one Redis
+ * Locks which are not replicated to several Redis support neither quorum mode nor migration.
+ * @param {string} method - name of method
+ * @return {Error} null if supported
+ */
+Mutex.prototype._checkSingleStore = function(method) {
+  if (this.option.mode === MODE_QUORUM) {
+    return new Error(method + ' is not supported in quorum mode.');
+  }
+  if (this.previousRing) {
+    return new Error(method + ' is not supported while migration (option.redis.previousNodes).');
+  }
+  return null;
+};
+
+/**
+ * Check that every store sends raw commands of a method
+ * A store which has no hasCommand sends every command to Redis like RedisStore.
+ * @param {string} method - name of method
+ * @param {Array} commands - raw commands of the method
+ * @return {Error} null if supported
+ */
+Mutex.prototype._checkStoreCommands = function(method, commands) {
+  for (var i = 0; i < this.stores.length; i++) {
+    var store = this.stores[i];
+    if (!store || typeof store.hasCommand !== 'function') {
+      continue;
+    }
+    for (var j = 0; j < commands.length; j++) {
+      if (!store.hasCommand(commands[j])) {
+        return new Error(method + ' is not supported by the store. : storeIndex = ' + i +
+          ' command = ' + commands[j]);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Get number of Redis which must set a lock key
+ * @param {Array} storeIndexes - indexes of Redis which set the lock key
+ * @return {number}
+ */
+Mutex.prototype._getQuorum = function(storeIndexes) {
+  if (this.option.mode !== MODE_QUORUM) {
+    return storeIndexes.length;
+  }
+  return Math.floor(this.stores.length / 2) + 1;
+};
+
+/**
+ * Get clock drift which is subtracted from validity of a lock
+ * @param {number} expiry - expiry of lock
+ * @return {number} Milli second
+ */
+Mutex.prototype._getClockDrift = function(expiry) {
+  if (this.option.mode !== MODE_QUORUM) {
     return 0;
   }
+  return Math.floor(expiry * CLOCK_DRIFT_FACTOR) + 2;
+};
+
+/**
+ * Get expiry of a lock
+ * option.expiry of the call (capped by maxExpiry), the first rule of expiryOfKey which matches the key,
+ * or the default expiry.
+ * @param {string} key - main key
+ * @param {Object} option - option of lock (not require)
+ * @return {number} Milli second
+ */
+Mutex.prototype._getExpiry = function(key, option) {
+  if (option && option.expiry) {
+    return this._capExpiry(option.expiry);
+  }
+  for (var i = 0; i < this.expiryRules.length; i++) {
+    if (String(key).search(this.expiryRules[i].regexp) >= 0) {
+      return this.expiryRules[i].expiry;
+    }
+  }
+  return this.option.expiry;
+};
+
+/**
+ * Cap expiry of a call by maxExpiry
+ * @param {number} expiry - Milli second
+ * @return {number} Milli second
+ */
+Mutex.prototype._capExpiry = function(expiry) {
+  if (!this.option.maxExpiry) {
+    return expiry;
+  }
+  return Math.min(expiry, this.option.maxExpiry);
+};
 
-  var hash = crypto.createHash('md5').update(lockKey).digest('hex');
-  var value = parseInt(hash.substring(hash.length - 2), 16); // 0 ~ 255
-  return value % this.stores.length;
+/**
+ * Get the longest expiry of locks of a key
+ * Locks of other processes on the key may have the expiry of the key, or up to maxExpiry.
+ * @param {string} key - main key
+ * @param {number} expiry - expiry of lock
+ * @return {number} Milli second
+ */
+Mutex.prototype._getKeyMaxExpiry = function(key, expiry) {
+  return Math.max(expiry, this._getExpiry(key), this.option.maxExpiry || 0);
 };
 
 /**
  * Get time which blocks lock acquisition
  * @param {string} key - main key
  * @param {string} subKey - sub key
+ * @param {Object} option - option of lock (not require)
  * @return {number} Milli second
  */
-Mutex.prototype._getBlockingTime = function(key, subKey) {
+Mutex.prototype._getBlockingTime = function(key, subKey, option) {
   var lockKey = this._createLockKey(key, subKey);
-  var storeIndex = this._getStoreIndex(lockKey);
+  return this._getStoreBlockingTime(this._getStoreIndex(lockKey), key, this._getExpiry(key, option));
+};
+
+/**
+ * Get time which blocks lock acquisition on a Redis
+ * Blocked until the longest expiry of locks of the key and the locks held on the Redis at the unusual status
+ * have passed, because locks of other processes on the Redis are unknown.
+ * @param {number} storeIndex - index of Redis
+ * @param {string} key - main key
+ * @param {number} expiry - expiry of lock
+ * @return {number} Milli second
+ */
+Mutex.prototype._getStoreBlockingTime = function(storeIndex, key, expiry) {
   var status = this.storeStatus[storeIndex];
   if (!status) {
     return 0;
   }
 
   var now = Date.now();
-  var expiry = this.option.expiryOfKey[key] || this.option.expiry;
-  if (now >= status.latestUnusualTime + expiry) {
+  var blockedUntil = Math.max(status.latestUnusualTime + this._getKeyMaxExpiry(key, expiry), status.blockedUntil);
+  if (now >= blockedUntil) {
     return 0;
   }
 
-  return status.latestUnusualTime + expiry - now;
+  return blockedUntil - now;
 };
 
 /**
@@ -145,26 +501,76 @@ Mutex.prototype._getStoreStatus = function(storeIndex) {
 Mutex.prototype._setStoreStatus = function(storeIndex, statusCode) {
   var now = Date.now();
   var status = this.storeStatus[storeIndex];
+  var previousCode = this._getStoreStatus(storeIndex);
   if (!status) {
     status = {
       'code': statusCode,
-      'latestUnusualTime': 0
+      'latestUnusualTime': 0,
+      'blockedUntil': 0 // expiration of held locks which may be lost by the unusual status
     };
   }
 
   switch (statusCode) {
     case STORE_STATUS_ACTIVE:
+    case STORE_STATUS_DEGRADED:
+      status.code = statusCode;
       break;
     case STORE_STATUS_DOWN:
     case STORE_STATUS_FAILOVER:
+      status.code = statusCode;
       status.latestUnusualTime = Math.max(status.latestUnusualTime, now);
+      status.blockedUntil = Math.max(status.blockedUntil, this._getHeldExpireAt(storeIndex));
+      this._loseLeasesOfStore(storeIndex, statusCode);
       break;
     default:
-      status.statusCode = STORE_STATUS_UNKNOWN;
+      status.code = STORE_STATUS_UNKNOWN;
       break;
   }
 
   this.storeStatus[storeIndex] = status;
+  if (status.code !== previousCode) {
+    this.emit('storeStatus', {
+      'storeIndex': storeIndex,
+      'status': status.code
+    });
+  }
+};
+
+/**
+ * Get the latest expiration of locks held on a Redis
+ * @param {number} storeIndex - index of Redis
+ * @return {number} Milli second, 0 if no lock is held
+ */
+Mutex.prototype._getHeldExpireAt = function(storeIndex) {
+  var expireAt = 0;
+  for (var i = 0; i < this.heldLocks.length; i++) {
+    var target = this.heldLocks[i];
+    if (target.storeIndexes.indexOf(storeIndex) >= 0) {
+      expireAt = Math.max(expireAt, target.expireAt || 0);
+    }
+  }
+  return expireAt;
+};
+
+/**
+ * Notify holders of locks on the Redis that their leases may be lost
+ * @param {number} storeIndex - index of Redis
+ * @param {string} reason - status of Redis
+ */
+Mutex.prototype._loseLeasesOfStore = function(storeIndex, reason) {
+  var leases = this.leases.slice();
+  for (var i = 0; i < leases.length; i++) {
+    var lease = leases[i];
+    if (lease.storeIndexes.indexOf(storeIndex) < 0) {
+      continue;
+    }
+    if (lease.unusualStoreIndexes.indexOf(storeIndex) < 0) {
+      lease.unusualStoreIndexes.push(storeIndex);
+    }
+    if (lease.storeIndexes.length - lease.unusualStoreIndexes.length < lease.quorum) {
+      this._loseLease(lease, reason);
+    }
+  }
 };
 
 /**
@@ -197,7 +603,9 @@ Mutex.prototype._setupStore = function(callback) {
   }
 
   var type = null;
-  if (this.option.redis.clients) {
+  if (this.option.redis.stores) {
+    type = 'stores';
+  } else if (this.option.redis.clients) {
     type = 'clients';
   } else if (this.option.redis.sclients) {
     type = 'sclients';
@@ -208,25 +616,121 @@ Mutex.prototype._setupStore = function(callback) {
   if (this.option.redis[type].length <= 0) {
     return callback && callback(new Error('option.redis.' + type + ' is 0.'));
   }
-  if (this.option.redis[type].length > MAX_STORES) {
-    return callback && callback(new Error('option.redis.' + type + ' is too many. max = ' + MAX_STORES));
+  var nodes = this.option.redis.nodes;
+  if (nodes && nodes.length !== this.option.redis[type].length) {
+    return callback && callback(new Error('option.redis.nodes is not same length as option.redis.' + type + '.'));
   }
 
   if (type === 'clients') {
     // outer client
     for (var i = 0; i < this.option.redis.clients.length; i++) {
       var client = this.option.redis.clients[i];
-      this._addStore(i, client);
-      return callback && callback();
+      this._addStore(i, new RedisStore(client));
+      this._addSubscriber(i, (this.option.redis.subscribers || [])[i]);
     }
+    return callback && callback(this._setupRing());
   } else if (type === 'sclients') {
     // inner client
     for (var j = 0; j < this.option.redis.sclients.length; j++) {
       var sentinelConf = this.option.redis.sclients[j];
-      this._addStore(j, this._createStore(sentinelConf.sentinels, sentinelConf.masterName, this.option.redis.masterOption)); // sclients use same masterOption.
+      var storeClient = this._createStore(sentinelConf.sentinels, sentinelConf.masterName, this.option.redis.masterOption); // sclients use same masterOption.
+      var subscriberClient = this._createStore(sentinelConf.sentinels, sentinelConf.masterName, this.option.redis.masterOption);
+      this.ownedClients.push(storeClient, subscriberClient);
+      this._addStore(j, new RedisStore(storeClient));
+      this._addSubscriber(j, subscriberClient);
+    }
+  } else if (type === 'stores') {
+    // store adapter (RedisStore, MemoryStore or the same interface)
+    var storeError = this._checkStoreMethods(this.option.redis.stores);
+    if (storeError) {
+      return callback && callback(storeError);
+    }
+    for (var k = 0; k < this.option.redis.stores.length; k++) {
+      var store = this.option.redis.stores[k];
+      this._addStore(k, store);
+      this._addSubscriber(k, store.subscriber);
+    }
+  }
+
+  var err = this._setupRing();
+  if (err) {
+    return callback && callback(err);
+  }
+  this._waitStoreActive(callback);
+};
+
+/**
+ * Check that store adapters implement the store interface
+ * @param {Array} stores - option.redis.stores
+ * @return {Error} null if implemented
+ */
+Mutex.prototype._checkStoreMethods = function(stores) {
+  var methods = STORE_METHODS;
+  if (this.option.mode === MODE_QUORUM || this.option.redis.previousNodes) {
+    methods = methods.concat('raiseToken');
+  }
+  for (var i = 0; i < stores.length; i++) {
+    var store = stores[i];
+    var missing = methods.filter(function(method) {
+      return !store || typeof store[method] !== 'function';
+    });
+    if (missing.length > 0) {
+      return new Error('option.redis.stores[' + i + '] does not implement ' + missing.join(', ') + '.');
+    }
+  }
+  return null;
+};
+
+/**
+ * Setup consistent hashing ring of Redis
+ * option.redis.nodes - [{id: 'id', weight: 1}, ...] in order of Redis (not require)
+ * option.redis.previousNodes - nodes before topology change, only while migration (not require)
+ *   'modulo' is the hashing of versions before the ring, only while rolling upgrade from those versions.
+ * option.redis.vnodes - points of a node whose weight is 1 (not require)
+ * @return {Error} null if succeeded
+ */
+Mutex.prototype._setupRing = function() {
+  var nodes = this.option.redis.nodes || [];
+  var ids = {};
+  var currentNodes = [];
+  for (var i = 0; i < this.stores.length; i++) {
+    var node = nodes[i] || {};
+    var id = node.id === undefined ? DEFAULT_NODE_ID_PREFIX + i : String(node.id);
+    if (ids.hasOwnProperty(id)) {
+      return new Error('option.redis.nodes has duplicate id. id = ' + id);
+    }
+    ids[id] = i;
+    currentNodes.push({
+      'id': id,
+      'weight': node.weight,
+      'index': i
+    });
+  }
+
+  var previousNodes = [];
+  var previous = this.option.redis.previousNodes || [];
+  for (var j = 0; previous !== PREVIOUS_NODES_MODULO && j < previous.length; j++) {
+    var previousId = String(previous[j].id);
+    if (!ids.hasOwnProperty(previousId)) {
+      return new Error('option.redis.previousNodes has unknown id. id = ' + previousId);
     }
-    this._waitStoreActive(callback);
+    previousNodes.push({
+      'id': previousId,
+      'weight': previous[j].weight,
+      'index': ids[previousId]
+    });
+  }
+
+  this.ring = new HashRing(currentNodes, this.option.redis.vnodes);
+  if (previous === PREVIOUS_NODES_MODULO) {
+    this.previousRing = new ModuloRing(currentNodes);
+  } else {
+    this.previousRing = previousNodes.length > 0 ? new HashRing(previousNodes, this.option.redis.vnodes) : null;
+  }
+  if (this.ring.get('') < 0 || (this.previousRing && this.previousRing.get('') < 0)) {
+    return new Error('option.redis.nodes has no weight.');
   }
+  return null;
 };
 
 /**
@@ -245,15 +749,18 @@ Mutex.prototype._createStore = function(sentinels, masterName, masterOption) {
 };
 
 /**
- * Add RedisClient and setup.
+ * Add store and setup.
  * @param {number} storeIndex - index of Redis
- * @param {RedisClient} redisClient - redis client
+ * @param {RedisStore} redisClient - store adapter
  */
 Mutex.prototype._addStore = function(storeIndex, redisClient) {
   var self = this;
 
   if (!this.stores[storeIndex]) {
     this.stores[storeIndex] = redisClient;
+    if (redisClient.connected) {
+      this._setStoreStatus(storeIndex, STORE_STATUS_ACTIVE);
+    }
 
     this.stores[storeIndex].on('connect', function() {
       self.logger.debug('[ Redis_' + storeIndex + ' ] connect');
@@ -293,157 +800,2557 @@ Mutex.prototype._addStore = function(storeIndex, redisClient) {
 
 /**
  * Setup Mutex
+ * Returns a Promise when callback is omitted.
  * @param {Object} option
- * @param {Function} callback
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
  */
 Mutex.prototype.setup = function(option, callback) {
+  var self = this;
+  return callbackOrHandledPromise(callback, this, function(callback) {
+    self._setup(option, callback);
+  });
+};
+
+/**
+ * Setup Mutex
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._setup = function(option, callback) {
+  var self = this;
   if (!option) {
     return callback(new Error('option is not found.'));
   }
+  if (this.stores.length > 0) {
+    // stores are kept, so another configuration needs another Mutex
+    return callback(new Error('Mutex is already set up. Use createMutex() for another configuration.'));
+  }
 
-  this.option.retry = option.retry || this.option.retry;
+  this.option.retry = option.retry !== undefined && option.retry !== null ? option.retry : this.option.retry;
   this.option.interval = option.interval || this.option.interval;
+  this.option.retryStrategy = option.retryStrategy || this.option.retryStrategy;
+  this.option.maxInterval = option.maxInterval || this.option.maxInterval;
+  this.option.acquireTimeout = option.acquireTimeout || this.option.acquireTimeout;
+  if (!RetryStrategy.isValid(this.option.retryStrategy)) {
+    return callback(new Error('option.retryStrategy is invalid. retryStrategy = ' + this.option.retryStrategy));
+  }
   this.option.expiry = option.expiry || this.option.expiry;
   this.option.expiryOfKey = option.expiryOfKey || this.option.expiryOfKey;
+  this.expiryRules = createExpiryRules(this.option.expiryOfKey);
+  this.option.maxExpiry = option.maxExpiry || this.option.maxExpiry;
   this.option.keyPrefix = option.keyPrefix || this.option.keyPrefix;
   this.option.valuePrefix = option.valuePrefix || this.option.valuePrefix;
   this.option.valueLength = option.valueLength || this.option.valueLength;
+  this.option.mode = option.mode || this.option.mode;
+  if (this.option.mode !== MODE_SHARD && this.option.mode !== MODE_QUORUM) {
+    return callback(new Error('option.mode is invalid. mode = ' + this.option.mode));
+  }
 
   // logger
   this.logger = option.logger || this.logger;
 
   // redis
   this.option.redis = option.redis;
-  this._setupStore(callback);
+  this.option.health = option.health || this.option.health;
+  this._setupStore(function(err) {
+    if (!err && self.option.health) {
+      self._startHealthMonitor(self.option.health === true ? {} : self.option.health);
+    }
+    return callback(err);
+  });
 };
 
 /**
- * acquire lock
- * @param {string} key - main key
- * @param {string} subKey - sub key (not require)
+ * Start PING to stores, and set status of a store by its result
+ * down by timeout or error, degraded by latency, active again by reply.
+ * Failover is kept until connect of the new master.
+ * @param {Object} option - option of HealthMonitor
+ */
+Mutex.prototype._startHealthMonitor = function(option) {
+  var self = this;
+  this.healthMonitor = new HealthMonitor(option, function(storeIndex, callback) {
+    self.stores[storeIndex].send_command('ping', [], callback);
+  }, function(storeIndex, statusCode) {
+    if (statusCode !== STORE_STATUS_DOWN && self._getStoreStatus(storeIndex) === STORE_STATUS_FAILOVER) {
+      return;
+    }
+    if (statusCode !== self._getStoreStatus(storeIndex)) {
+      self.logger.warn('[ Redis_' + storeIndex + ' ] health : ' + statusCode);
+    }
+    self._setStoreStatus(storeIndex, statusCode);
+  });
+  this.healthMonitor.start(this.stores.length);
+};
+
+/**
+ * Get health of stores
+ * latency (p50, p90, p99 msec), lastLatency, failures and lastCheckedAt are null without option.health.
+ * @return {Array} [{storeIndex, status, latency, lastLatency, failures, lastCheckedAt}, ...]
+ */
+Mutex.prototype.getStoreHealth = function() {
+  var health = [];
+  for (var i = 0; i < this.stores.length; i++) {
+    var monitored = this.healthMonitor ? this.healthMonitor.getHealth(i) : null;
+    health.push({
+      'storeIndex': i,
+      'status': this._getStoreStatus(i),
+      'latency': monitored ? monitored.latency : null,
+      'lastLatency': monitored ? monitored.lastLatency : null,
+      'failures': monitored ? monitored.failures : null,
+      'lastCheckedAt': monitored ? monitored.lastCheckedAt : null
+    });
+  }
+  return health;
+};
+
+/**
+ * Close Mutex
+ * Stops new acquisitions, cancels waiters in retry loop, and quits Redis connections created by Mutex.
+ * Outer clients and stores are not closed. Leaders of elections step down.
+ * option.releaseHeld - release held locks before quit (default is false, held locks expire)
+ * option.timeout - time limit of release (msec, not require)
+ * Returns a Promise when callback is omitted.
  * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.close = function(option, callback) {
+  var self = this;
+  if (typeof option === 'function') {
+    callback = option;
+    option = null;
+  }
+  return callbackOrPromise(callback, function(callback) {
+    self._close(option || {}, callback);
+  });
+};
+
+/**
+ * Close Mutex
+ * @param {Object} option
  * @param {Function} callback
  */
-Mutex.prototype.lock = function(key, subKey, option, callback) {
-  // variable argument
-  switch (arguments.length) {
-    case 4:
+Mutex.prototype._close = function(option, callback) {
+  var self = this;
+  this.closed = true;
+  if (this.healthMonitor) {
+    this.healthMonitor.stop();
+  }
+  var remaining = 1; // until all releases are started
+  var error = null;
+  var timer = null;
+  var finished = false;
+  var finish = function(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+
+    // stop timers of leases (auto renew)
+    self.leases.slice().forEach(function(lease) {
+      self._untrackLease(lease);
+    });
+    // end, not quit. quit of redis-sentinel-client reconnects to sentinels.
+    self.ownedClients.forEach(function(client) {
+      client.end();
+    });
+    self.ownedClients = [];
+    self.logger.info('[ Redis_ALL ] closed');
+    return callback(err);
+  };
+  var released = function(err) {
+    error = error || err || null;
+    if (--remaining === 0) {
+      finish(error);
+    }
+  };
+
+  // leaders step down even without releaseHeld
+  this.elections.forEach(function(election) {
+    remaining++;
+    election.stop(released);
+  });
+  this.elections = [];
+  this.waiters.slice().forEach(function(waiter) {
+    waiter.cancel();
+  });
+
+  if (option.releaseHeld) {
+    this.heldLocks.slice().forEach(function(target) {
+      remaining++;
+      target.release(released);
+    });
+  }
+  if (option.timeout && remaining > 1) {
+    timer = setTimeout(function() {
+      finish(new Error('Release of held locks is timed out. : timeout = ' + option.timeout +
+        ' remaining = ' + remaining));
+    }, option.timeout);
+  }
+  released(null);
+};
+
+/**
+ * Parse variable arguments of lock methods
+ * (key, [subKey], [option], [callback])
+ * @param {Arguments} args - arguments of lock method
+ * @return {Object} key, subKey, option, callback and error
+ */
+Mutex.prototype._parseLockArguments = function(args) {
+  var params = Array.prototype.slice.call(args);
+  var parsed = {
+    'key': params.shift(),
+    'subKey': null,
+    'option': {},
+    'callback': null,
+    'error': null
+  };
+  if (typeof params[params.length - 1] === 'function') {
+    parsed.callback = params.pop();
+  }
+
+  var subKey = params[0];
+  var option = params[1];
+  switch (params.length) {
+    case 0:
       break;
-    case 3:
-      if (typeof option === 'function') {
-        callback = option;
-        option = {};
-      }
+    case 1:
       if (typeof subKey === 'string' || subKey instanceof String || subKey instanceof Array ||
           typeof subKey === 'number' || subKey instanceof Number) {
-        subKey = subKey;
-        option = {};
-      } else if (typeof subKey === 'object') {
-        option = subKey;
-        subKey = null;
-      } else {
-        return callback(new Error('Unsupported arguments'), null);
+        parsed.subKey = subKey;
+      } else if (subKey && typeof subKey === 'object') {
+        parsed.option = subKey;
+      } else if (subKey !== null && subKey !== undefined) {
+        parsed.error = new Error('Unsupported arguments');
       }
       break;
     case 2:
-      if (typeof subKey === 'function') {
-        callback = subKey;
-        subKey = null;
-        option = {};
-      }
+      parsed.subKey = subKey;
+      parsed.option = option || {};
       break;
     default:
-      return callback(new Error('Unsupported arguments'), null);
+      parsed.error = new Error('Unsupported arguments');
+      break;
   }
-  if (subKey instanceof Array) {
-    subKey = subKey.join(KEY_SEPARATOR);
+  if (parsed.subKey instanceof Array) {
+    parsed.subKey = parsed.subKey.join(KEY_SEPARATOR);
   }
 
-  var self = this;
-  var lockKey = this._createLockKey(key, subKey);
-  var lockValue = this._createLockValue();
-  var storeIndex = this._getStoreIndex(lockKey);
-  var retry = option.retry || this.option.retry;
-  var interval = option.interval || this.option.interval;
-  var expiry = this.option.expiryOfKey[key] || this.option.expiry;
-
-  // unlock function
-  var unlock = function(cb) {
-    self._unlock(lockKey, lockValue, cb);
-  };
+  return parsed;
+};
 
-  // retry function
-  var retryCount = 0;
-  var fn = function() {
-    if (retry && retry < retryCount) {
-      return callback(new Error('Lock acquisition is retry failure. : storeIndex = ' + storeIndex +
-        ' lockKey = ' + lockKey + ' retry = ' + retry + ' interval = ' + interval), null);
-    }
-    if (!self.stores[storeIndex] || self._getStoreStatus(storeIndex) === STORE_STATUS_UNINIT) {
-      return callback(new Error('Store is uninitialized. : storeIndex = ' + storeIndex), null);
-    }
-    var blockingTime = self._getBlockingTime(key, subKey);
-    if (blockingTime > 0) {
-      return callback(new Error('Lock acquisition is blocked. : storeIndex = ' + storeIndex +
-        ' blockingTime = ' + blockingTime + ' lockKey = ' + lockKey), null);
+/**
+ * acquire lock
+ * Returns a Promise which resolves unlock function when callback is omitted.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.lock = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    if (args.error) {
+      return callback(args.error, null);
     }
+    self._lock(args.key, args.subKey, args.option, callback);
+  });
+};
+
+/**
+ * acquire lock
+ * @param {string} key - main key
+ * @param {string} subKey - sub key
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._lock = function(key, subKey, option, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(key, subKey);
+  var owner = this._getOwner(option);
+  var lockValue = owner === null ? this._createLockValue() : this._createOwnerValue(owner);
+  var storeIndexes = this._getStoreIndexes(lockKey);
+  var quorum = this._getQuorum(storeIndexes);
+  var expiry = this._getExpiry(key, option);
+  var lease = {
+    'key': key,
+    'lockKey': lockKey,
+    'lockValue': lockValue,
+    'storeIndexes': storeIndexes,
+    'unusualStoreIndexes': [],
+    'channels': [lockKey + RELEASE_CHANNEL],
+    'holdsKey': owner === null ? null : lockKey + REENTRANT_KEY_HOLDS,
+    'quorum': quorum,
+    'expiry': expiry,
+    'deadline': 0,
+    'token': 0
+  };
+
+  if (option.fair) {
+    if (lease.holdsKey) {
+      return callback(new Error('option.fair is not supported with owner.'), null);
+    }
+    var fairError = this._checkSingleStore('option.fair') || this._checkStoreCommands('option.fair', ['eval']);
+    if (fairError) {
+      return callback(fairError, null);
+    }
+    return this._fairLock(lease, option, callback);
+  }
+
+  this._retry(lease, option, function(done) {
+    var usable = self._getUsableStoreIndexes(storeIndexes, lockKey, expiry, key);
+    if (usable.storeIndexes.length < quorum) {
+      return done(usable.error, null);
+    }
+
+    var startTime = Date.now();
+    var args = [lockKey, lockValue, expiry, lockKey + FENCING_KEY, lease.holdsKey];
+    self._callStores(usable.storeIndexes, 'acquire', args,
+      function(errors, results) {
+        var acquiredStoreIndexes = [];
+        var error = null;
+        var errorCount = 0;
+        for (var i = 0; i < usable.storeIndexes.length; i++) {
+          if (errors[i]) {
+            error = error || errors[i];
+            errorCount++;
+          } else if (results[i] > 0) {
+            acquiredStoreIndexes.push(usable.storeIndexes[i]);
+            lease.token = Math.max(lease.token, results[i]);
+          }
+        }
+        var validity = expiry - (Date.now() - startTime) - self._getClockDrift(expiry);
+
+        // roll back partial acquisition
+        // a Redis which replied an error may have set the key, the value is checked by release
+        var rollback = function(err) {
+          lease.token = 0;
+          self._releaseOnStores(usable.storeIndexes, lockKey, lockValue, lease.holdsKey, function() {
+            if (err) {
+              return done(err, null);
+            }
+            if (error && errorCount > usable.storeIndexes.length - quorum) {
+              return done(error, null);
+            }
+            return done(null, null);
+          });
+        };
+        if (acquiredStoreIndexes.length < quorum || (self.option.mode === MODE_QUORUM && validity <= 0)) {
+          return rollback(null);
+        }
+
+        // lock ok
+        self._syncFencingToken(acquiredStoreIndexes, lockKey + FENCING_KEY, lease.token, quorum, function(err) {
+          if (err) {
+            return rollback(err);
+          }
+          self.logger.debug('lock key = ' + lockKey + ' value = ' + lockValue +
+              ' storeIndex = ' + acquiredStoreIndexes.join(',') + ' expiry = ' + expiry);
+          lease.storeIndexes = acquiredStoreIndexes;
+          lease.deadline = startTime + expiry - self._getClockDrift(expiry);
+          return done(null, self._createLockHandle(lease, option));
+        });
+      }
+    );
+  }, callback);
+};
+
+/**
+ * acquire lock in order of arrival
+ * Waiters are queued per lock key and only the head of the queue acquires the lock.
+ * Waiters which stop retrying are removed from the queue by heartbeat expiry (by the clock of Redis).
+ * @param {Object} lease - lease of lock
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._fairLock = function(lease, option, callback) {
+  var self = this;
+  var storeIndex = lease.storeIndexes[0];
+  var heartbeatExpiry = this._createRetryStrategy(option).getMaxDelay() * FAIR_HEARTBEAT_INTERVALS;
+  var keys = [
+    lease.lockKey,
+    lease.lockKey + FAIR_KEY_QUEUE,
+    lease.lockKey + FAIR_KEY_HEARTBEAT,
+    lease.lockKey + FAIR_KEY_TICKET,
+    lease.lockKey + FENCING_KEY
+  ];
+
+  // redis lua script
+  var script = LUA_NOW +
+    'local dead = redis.call("zrangebyscore", KEYS[3], "-inf", now)' + '\n' +
+    'for i = 1, #dead do' + '\n' +
+    '    redis.call("zrem", KEYS[2], dead[i])' + '\n' +
+    '    redis.call("zrem", KEYS[3], dead[i])' + '\n' +
+    'end' + '\n' +
+    'if not redis.call("zscore", KEYS[2], ARGV[1]) then' + '\n' +
+    '    redis.call("zadd", KEYS[2], redis.call("incr", KEYS[4]), ARGV[1])' + '\n' +
+    'end' + '\n' +
+    'redis.call("zadd", KEYS[3], now + tonumber(ARGV[3]), ARGV[1])' + '\n' +
+    'for i = 2, 4 do' + '\n' +
+    '    if redis.call("pttl", KEYS[i]) < tonumber(ARGV[3]) then' + '\n' +
+    '        redis.call("pexpire", KEYS[i], ARGV[3])' + '\n' +
+    '    end' + '\n' +
+    'end' + '\n' +
+    'if redis.call("zrange", KEYS[2], 0, 0)[1] ~= ARGV[1] then' + '\n' +
+    '    return 0' + '\n' +
+    'end' + '\n' +
+    'if not redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then' + '\n' +
+    '    return 0' + '\n' +
+    'end' + '\n' +
+    'redis.call("zrem", KEYS[2], ARGV[1])' + '\n' +
+    'redis.call("zrem", KEYS[3], ARGV[1])' + '\n' +
+    'return redis.call("incr", KEYS[5])';
+
+  this._retry(lease, option, function(done) {
+    var usable = self._getUsableStoreIndexes([storeIndex], lease.lockKey, lease.expiry, lease.key);
+    if (usable.storeIndexes.length <= 0) {
+      return done(usable.error, null);
+    }
+
+    var startTime = Date.now();
+    var args = [script, keys.length].concat(keys, [lease.lockValue, lease.expiry, heartbeatExpiry]);
+    self.stores[storeIndex].send_command('eval', args, function(err, result) {
+      if (err) {
+        return done(err, null);
+      }
+      if (!(result > 0)) {
+        return done(null, null);
+      }
+
+      self.logger.debug('lock key = ' + lease.lockKey + ' value = ' + lease.lockValue +
+          ' storeIndex = ' + storeIndex + ' expiry = ' + lease.expiry + ' fair = true');
+      lease.deadline = startTime + lease.expiry;
+      lease.token = result;
+      return done(null, self._createLockHandle(lease, option));
+    });
+  }, function(err, unlock) {
+    if (!err) {
+      return callback(null, unlock);
+    }
+
+    // leave the queue
+    var leaveScript =
+      'redis.call("zrem", KEYS[1], ARGV[1])' + '\n' +
+      'return redis.call("zrem", KEYS[2], ARGV[1])';
+    self._sendCommandToStores([storeIndex], 'eval', [leaveScript, 2, keys[1], keys[2], lease.lockValue], function() {
+      return callback(err, null);
+    });
+  });
+};
+
+/**
+ * acquire lock by a single attempt
+ * Result is unlock function, or LockBusy which has pttl of the holder when the lock is held.
+ * Returns a Promise when callback is omitted.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require) callback(err, unlock or LockBusy)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.tryLock = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    if (args.error) {
+      return callback(args.error, null);
+    }
+    if (args.option.fair) {
+      return callback(new Error('option.fair is not supported by tryLock.'), null);
+    }
+
+    var option = {};
+    Object.keys(args.option).forEach(function(name) {
+      option[name] = args.option[name];
+    });
+    option.retry = 0;
+    option.acquireTimeout = null;
+    self._lock(args.key, args.subKey, option, function(err, unlock) {
+      if (!err) {
+        unlock.busy = false;
+        return callback(null, unlock);
+      }
+      if (err.name !== 'TimeoutError') {
+        return callback(err, null);
+      }
+
+      self._inspect(args.key, args.subKey, function(err, info) {
+        if (err) {
+          return callback(err, null);
+        }
+        return callback(null, new LockBusy(args.key, info.lockKey, info.value, info.pttl === -2 ? 0 : info.pttl));
+      });
+    });
+  });
+};
+
+/**
+ * Wait until a lock key is released, without acquiring it
+ * Waits by retry, interval, retryStrategy, acquireTimeout and signal of option like lock.
+ * Returns a Promise when callback is omitted.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require) callback(err)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.waitUntilFree = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    if (args.error) {
+      return callback(args.error);
+    }
+    self._waitUntilFree(args.key, args.subKey, args.option, callback);
+  });
+};
+
+/**
+ * Wait until a lock key is released
+ * @param {string} key - main key
+ * @param {string} subKey - sub key
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._waitUntilFree = function(key, subKey, option, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(key, subKey);
+  var target = {
+    'key': key,
+    'lockKey': lockKey,
+    'lockValue': null,
+    'storeIndexes': this._getStoreIndexes(lockKey),
+    'channels': [lockKey + RELEASE_CHANNEL],
+    'observer': true
+  };
+
+  this._retry(target, option, function(done) {
+    self._inspect(key, subKey, function(err, info) {
+      if (err) {
+        return done(err, null);
+      }
+      return done(null, !info.locked);
+    });
+  }, function(err) {
+    return callback(err);
+  });
+};
+
+/**
+ * Get the latest fencing token of a lock key
+ * Tokens increase every time the lock is acquired, 0 if never acquired.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.getFencingToken = function(key, subKey, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    if (args.error) {
+      return callback(args.error, null);
+    }
+
+    var lockKey = self._createLockKey(args.key, args.subKey);
+    var storeIndexes = self._getStoreIndexes(lockKey);
+    self._sendCommandToStores(storeIndexes, 'get', [lockKey + FENCING_KEY], function(errors, results) {
+      var token = 0;
+      var count = 0;
+      for (var i = 0; i < storeIndexes.length; i++) {
+        if (!errors[i]) {
+          token = Math.max(token, parseInt(results[i], 10) || 0);
+          count++;
+        }
+      }
+      if (count < self._getQuorum(storeIndexes)) {
+        return callback(errors.filter(Boolean)[0], null);
+      }
+      return callback(null, token);
+    });
+  });
+};
+
+/**
+ * Check whether a lock key is held
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Function} callback - (not require) callback(err, locked)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.isLocked = function(key, subKey, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    if (args.error) {
+      return callback(args.error, null);
+    }
+    self._inspect(args.key, args.subKey, function(err, info) {
+      if (err) {
+        return callback(err, null);
+      }
+      return callback(null, info.locked);
+    });
+  });
+};
+
+/**
+ * Inspect a lock key
+ * Result has locked, lockKey, value (holder), pttl, storeIndex and storeStatus of the Redis which holds the key,
+ * and stores which lists them of every Redis of the key.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Function} callback - (not require) callback(err, info)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.inspect = function(key, subKey, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    if (args.error) {
+      return callback(args.error, null);
+    }
+    self._inspect(args.key, args.subKey, callback);
+  });
+};
+
+/**
+ * Inspect a lock key
+ * @param {string} key - main key
+ * @param {string} subKey - sub key
+ * @param {Function} callback - callback(err, info)
+ */
+Mutex.prototype._inspect = function(key, subKey, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(key, subKey);
+  var storeIndexes = this._getStoreIndexes(lockKey);
+
+  this._callStores(storeIndexes, 'inspect', [lockKey], function(errors, results) {
+    var stores = [];
+    var holders = 0;
+    for (var i = 0; i < storeIndexes.length; i++) {
+      if (errors[i]) {
+        return callback(errors[i], null);
+      }
+      var value = results[i].value;
+      stores.push({
+        'value': value,
+        'pttl': results[i].pttl,
+        'storeIndex': storeIndexes[i],
+        'storeStatus': self._getStoreStatus(storeIndexes[i])
+      });
+      if (value !== null) {
+        holders++;
+      }
+    }
+
+    var holder = stores.filter(function(store) {
+      return store.value !== null;
+    })[0] || stores[0];
+    return callback(null, {
+      'locked': holders >= (self.option.mode === MODE_QUORUM ? self._getQuorum(storeIndexes) : 1),
+      'lockKey': lockKey,
+      'value': holder.value,
+      'pttl': holder.pttl,
+      'storeIndex': holder.storeIndex,
+      'storeStatus': holder.storeStatus,
+      'stores': stores
+    });
+  });
+};
+
+/**
+ * List held locks of every Redis
+ * Result is [{key, lockKey, value, pttl, storeIndex}, ...], key is lock key without keyPrefix.
+ * A writer of writeLock is listed under the key of the lock, readers and semaphore holders are not listed.
+ * @param {string} pattern - glob-style pattern of key (not require, default is *)
+ * @param {Function} callback - (not require) callback(err, locks)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.list = function(pattern, callback) {
+  var self = this;
+  if (typeof pattern === 'function') {
+    callback = pattern;
+    pattern = null;
+  }
+  return callbackOrPromise(callback, function(callback) {
+    var err = self._checkStoreCommands('list', ['scan', 'eval']);
+    if (err) {
+      return callback(err, null);
+    }
+
+    var locks = [];
+    var next = function(storeIndex) {
+      if (storeIndex >= self.stores.length) {
+        return callback(null, locks);
+      }
+      self._scanLocks(storeIndex, pattern || '*', function(err, storeLocks) {
+        if (err) {
+          return callback(err, null);
+        }
+        locks = locks.concat(storeLocks);
+        return next(storeIndex + 1);
+      });
+    };
+    next(0);
+  });
+};
+
+/**
+ * List held locks of a Redis by SCAN
+ * @param {number} storeIndex - index of Redis
+ * @param {string} pattern - glob-style pattern of key
+ * @param {Function} callback - callback(err, locks)
+ */
+Mutex.prototype._scanLocks = function(storeIndex, pattern, callback) {
+  var self = this;
+  var keyPrefix = this.option.keyPrefix;
+  var internalKeys = [FENCING_KEY, FAIR_KEY_TICKET, REENTRANT_KEY_HOLDS, RW_KEY_PENDING, BARRIER_KEY_ARRIVED,
+    BARRIER_KEY_GENERATION, LATCH_KEY];
+  var locks = [];
+
+  // redis lua script
+  var script =
+    'local locks = {}' + '\n' +
+    'for i = 1, #KEYS do' + '\n' +
+    '    local value = redis.pcall("get", KEYS[i])' + '\n' +
+    '    if type(value) == "string" then' + '\n' +
+    '        table.insert(locks, KEYS[i])' + '\n' +
+    '        table.insert(locks, value)' + '\n' +
+    '        table.insert(locks, redis.call("pttl", KEYS[i]))' + '\n' +
+    '    end' + '\n' +
+    'end' + '\n' +
+    'return locks';
+
+  var scan = function(cursor) {
+    self.stores[storeIndex].send_command('scan', [cursor, 'MATCH', keyPrefix + pattern, 'COUNT', SCAN_COUNT],
+      function(err, result) {
+        if (err) {
+          return callback(err, null);
+        }
+
+        var lockKeys = result[1].filter(function(lockKey) {
+          return !internalKeys.some(function(suffix) {
+            return lockKey.slice(-suffix.length) === suffix;
+          });
+        });
+        var done = function() {
+          if (String(result[0]) === '0') {
+            return callback(null, locks);
+          }
+          return scan(result[0]);
+        };
+        if (lockKeys.length <= 0) {
+          return done();
+        }
+
+        self.stores[storeIndex].send_command('eval', [script, lockKeys.length].concat(lockKeys), function(err, values) {
+          if (err) {
+            return callback(err, null);
+          }
+          // [lockKey, value, pttl, ...]
+          for (var i = 0; i + 2 < values.length; i += 3) {
+            if (values[i + 2] > 0) {
+              var key = values[i].slice(keyPrefix.length);
+              if (key.slice(-RW_KEY_WRITER.length) === RW_KEY_WRITER) {
+                // a writer holds the lock of the key
+                key = key.slice(0, -RW_KEY_WRITER.length);
+              }
+              locks.push({
+                'key': key,
+                'lockKey': values[i],
+                'value': values[i + 1],
+                'pttl': values[i + 2],
+                'storeIndex': storeIndex
+              });
+            }
+          }
+          return done();
+        });
+      }
+    );
+  };
+
+  if (!this.stores[storeIndex]) {
+    return callback(new Error('Store is uninitialized. : storeIndex = ' + storeIndex), null);
+  }
+  scan(0);
+};
+
+/**
+ * Release a lock regardless of its holder
+ * The previous holder value is recorded in the audit list of the key.
+ * option.reason - reason of release, option.by - operator (default is hostname:pid)
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require) callback(err, previousValue)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.forceUnlock = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    var err = args.error || self._checkStoreCommands('forceUnlock', ['eval']);
+    if (err) {
+      return callback(err, null);
+    }
+
+    var lockKey = self._createLockKey(args.key, args.subKey);
+    var storeIndexes = self._getStoreIndexes(lockKey);
+    var entry = self._createAuditEntry(AUDIT_ACTION_FORCE_UNLOCK, args.option, null);
+
+    // redis lua script
+    var script =
+      'local previous = redis.call("get", KEYS[1])' + '\n' +
+      'if previous then' + '\n' +
+      '    redis.call("del", KEYS[1])' + '\n' +
+      '    redis.call("publish", ARGV[2], KEYS[1])' + '\n' +
+      'end' + '\n' +
+      'local entry = cjson.decode(ARGV[1])' + '\n' +
+      'entry["previousValue"] = previous or cjson.null' + '\n' +
+      'redis.call("lpush", KEYS[2], cjson.encode(entry))' + '\n' +
+      'redis.call("ltrim", KEYS[2], 0, ARGV[3] - 1)' + '\n' +
+      'return previous';
+    var commandArgs = [script, 2, lockKey, lockKey + AUDIT_KEY, JSON.stringify(entry), lockKey + RELEASE_CHANNEL,
+      AUDIT_LENGTH];
+    self._sendCommandToStores(storeIndexes, 'eval', commandArgs, function(errors, results) {
+      var error = errors.filter(Boolean)[0];
+      if (error) {
+        return callback(error, null);
+      }
+
+      var previousValue = results.filter(Boolean)[0] || null;
+      self.logger.warn('force unlock key = ' + lockKey + ' previous value = ' + previousValue +
+        ' storeIndex = ' + storeIndexes.join(',') + ' by = ' + entry.by + ' reason = ' + entry.reason);
+      return callback(null, previousValue);
+    });
+  });
+};
+
+/**
+ * Take over a lock from its current holder
+ * The value of the key is atomically replaced with a new value, and the previous holder value
+ * is recorded in the audit list of the key.
+ * option.reason - reason of takeover, option.by - operator (default is hostname:pid)
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require) callback(err, unlock), unlock.previousValue is the previous holder
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.takeover = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    var err = args.error || self._checkStoreCommands('takeover', ['eval']);
+    if (err) {
+      return callback(err, null);
+    }
+
+    if (self.closed) {
+      return callback(new Error('Mutex is closed.'), null);
+    }
+
+    var lockKey = self._createLockKey(args.key, args.subKey);
+    var lockValue = self._createLockValue();
+    var storeIndexes = self._getStoreIndexes(lockKey);
+    var expiry = self._getExpiry(args.key, args.option);
+    var entry = self._createAuditEntry(AUDIT_ACTION_TAKEOVER, args.option, lockValue);
+    var lease = {
+      'key': args.key,
+      'lockKey': lockKey,
+      'lockValue': lockValue,
+      'storeIndexes': storeIndexes,
+      'unusualStoreIndexes': [],
+      'holdsKey': null,
+      'quorum': self._getQuorum(storeIndexes),
+      'expiry': expiry,
+      'deadline': 0,
+      'token': 0
+    };
+
+    // redis lua script
+    var script =
+      'local previous = redis.call("get", KEYS[1])' + '\n' +
+      'redis.call("set", KEYS[1], ARGV[2], "PX", ARGV[3])' + '\n' +
+      'local entry = cjson.decode(ARGV[1])' + '\n' +
+      'entry["previousValue"] = previous or cjson.null' + '\n' +
+      'redis.call("lpush", KEYS[3], cjson.encode(entry))' + '\n' +
+      'redis.call("ltrim", KEYS[3], 0, ARGV[4] - 1)' + '\n' +
+      'return {redis.call("incr", KEYS[2]), previous}';
+    var commandArgs = [script, 3, lockKey, lockKey + FENCING_KEY, lockKey + AUDIT_KEY, JSON.stringify(entry),
+      lockValue, expiry, AUDIT_LENGTH];
+    var startTime = Date.now();
+    self._sendCommandToStores(storeIndexes, 'eval', commandArgs, function(errors, results) {
+      var previousValue = null;
+      var takenStoreIndexes = [];
+      for (var i = 0; i < storeIndexes.length; i++) {
+        if (!errors[i]) {
+          lease.token = Math.max(lease.token, results[i][0]);
+          previousValue = previousValue || results[i][1] || null;
+          takenStoreIndexes.push(storeIndexes[i]);
+        }
+      }
+      if (takenStoreIndexes.length < lease.quorum) {
+        return callback(errors.filter(Boolean)[0], null);
+      }
+
+      self._syncFencingToken(takenStoreIndexes, lockKey + FENCING_KEY, lease.token, lease.quorum, function(err) {
+        if (err) {
+          return self._releaseOnStores(takenStoreIndexes, lockKey, lockValue, null, function() {
+            return callback(err, null);
+          });
+        }
+
+        self.logger.warn('takeover key = ' + lockKey + ' value = ' + lockValue + ' previous value = ' +
+          previousValue + ' storeIndex = ' + storeIndexes.join(',') + ' by = ' + entry.by +
+          ' reason = ' + entry.reason);
+        lease.deadline = startTime + expiry - self._getClockDrift(expiry);
+        lease.acquiredAt = Date.now();
+        lease.expireAt = lease.acquiredAt + expiry;
+        var unlock = self._createLockHandle(lease, args.option);
+        unlock.previousValue = previousValue;
+        lease.release = unlock;
+        self.heldLocks.push(lease);
+        return callback(null, unlock);
+      });
+    });
+  });
+};
+
+/**
+ * Get audit entries of forceUnlock and takeover, latest first
+ * Entry is {action, reason, by, at, value, previousValue}.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Function} callback - (not require) callback(err, entries)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.getAuditLog = function(key, subKey, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    var err = args.error || self._checkStoreCommands('getAuditLog', ['lrange']);
+    if (err) {
+      return callback(err, null);
+    }
+
+    var lockKey = self._createLockKey(args.key, args.subKey);
+    var storeIndex = self._getStoreIndex(lockKey);
+    self._sendCommandToStores([storeIndex], 'lrange', [lockKey + AUDIT_KEY, 0, -1], function(errors, results) {
+      if (errors[0]) {
+        return callback(errors[0], null);
+      }
+      return callback(null, results[0].map(function(entry) {
+        return JSON.parse(entry);
+      }));
+    });
+  });
+};
+
+/**
+ * Create audit entry of an administrative operation
+ * @param {string} action - forceUnlock or takeover
+ * @param {Object} option - reason and by
+ * @param {string} lockValue - new value of lock
+ * @return {Object}
+ */
+Mutex.prototype._createAuditEntry = function(action, option, lockValue) {
+  return {
+    'action': action,
+    'reason': option.reason || null,
+    'by': option.by || os.hostname() + ':' + process.pid,
+    'at': Date.now(),
+    'value': lockValue
+  };
+};
+
+/**
+ * Create retry strategy of an acquisition
+ * @param {Object} option - retryStrategy, interval and maxInterval
+ * @return {RetryStrategy}
+ */
+Mutex.prototype._createRetryStrategy = function(option) {
+  return new RetryStrategy(option.retryStrategy || this.option.retryStrategy,
+    option.interval || this.option.interval, option.maxInterval || this.option.maxInterval);
+};
+
+/**
+ * Retry acquisition until it succeeds, retry count is over or acquireTimeout passes
+ * A release notification on target.channels retries at once without waiting interval.
+ * option.signal (AbortSignal) cancels the acquisition with AbortError, retry failure is TimeoutError.
+ * retry 0 is a single attempt. target.observer waits without acquisition (no held lock and no events).
+ * @param {Object} target - lockKey, lockValue, storeIndexes and channels of lock
+ * @param {Object} option - retry, interval, retryStrategy, maxInterval, acquireTimeout and signal
+ * @param {Function} attempt - attempt(done), done(err, result) with null result retries
+ * @param {Function} callback - callback(err, result)
+ */
+Mutex.prototype._retry = function(target, option, attempt, callback) {
+  var self = this;
+  var retry = option.retry !== undefined && option.retry !== null ? option.retry : this.option.retry;
+  var interval = option.interval || this.option.interval;
+  var acquireTimeout = option.acquireTimeout || this.option.acquireTimeout;
+  var strategy = this._createRetryStrategy(option);
+  var signal = option.signal || null;
+  var storeIndexes = target.storeIndexes.slice();
+  var channels = target.channels || [];
+  var timer = null;
+  var notified = false;
+  var finished = false;
+  var startTime = Date.now();
+  var emit = function(name, fields) {
+    if (!target.observer) {
+      self._emitEvent(name, target, fields);
+    }
+  };
+
+  // release notification
+  var wakeup = function() {
+    if (!timer) {
+      notified = true;
+      return;
+    }
+    clearTimeout(timer);
+    timer = null;
+    fn();
+  };
+  var finish = function(err, result) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    self._unsubscribeRelease(storeIndexes, channels, wakeup);
+    self.waiters.splice(self.waiters.indexOf(waiter), 1);
+    if (signal) {
+      removeAbortListener(signal, abort);
+    }
+    if (result && !target.observer) {
+      target.release = result;
+      self.heldLocks.push(target);
+      target.acquiredAt = Date.now();
+      target.expireAt = target.acquiredAt + (target.expiry || 0);
+      emit('acquired', {
+        'waitTime': target.acquiredAt - startTime,
+        'attempts': retryCount + 1
+      });
+    }
+    return callback(err, result);
+  };
+
+  // cancel by close or signal
+  var waiter = {
+    'cancel': function(err) {
+      clearTimeout(timer);
+      timer = null;
+      finish(err || new Error('Lock acquisition is canceled by close. : storeIndex = ' + storeIndexes.join(',') +
+        ' lockKey = ' + target.lockKey), null);
+    }
+  };
+  var abort = function() {
+    var err = new Error('Lock acquisition is aborted. : storeIndex = ' + storeIndexes.join(',') +
+      ' lockKey = ' + target.lockKey);
+    err.name = 'AbortError';
+    err.reason = signal.reason;
+    waiter.cancel(err);
+  };
+
+  // retry count is over or acquireTimeout passed
+  var timeout = function() {
+    var elapsed = Date.now() - startTime;
+    emit('timeout', {
+      'waitTime': elapsed,
+      'attempts': retryCount
+    });
+    var err = new Error('Lock acquisition is retry failure. : storeIndex = ' + storeIndexes.join(',') +
+      ' lockKey = ' + target.lockKey + ' retry = ' + retry + ' interval = ' + interval +
+      ' acquireTimeout = ' + acquireTimeout + ' elapsed = ' + elapsed + ' attempts = ' + retryCount);
+    err.name = 'TimeoutError';
+    return finish(err, null);
+  };
+
+  // retry function
+  var retryCount = 0;
+  var fn = function() {
+    if (self.closed) {
+      return finish(new Error('Mutex is closed.'), null);
+    }
+
+    notified = false;
+    attempt(function(err, result) {
+      if (finished) {
+        if (target.observer) {
+          return;
+        }
+        // canceled while the attempt, release the lock at once
+        target.acquiredAt = Date.now();
+        return result && result(function() {});
+      }
+      if (err) {
+        return finish(err, null);
+      }
+      if (result) {
+        return finish(null, result);
+      }
+
+      // retry
+      if (retryCount === 0) {
+        emit('contended', {});
+      }
+      retryCount++;
+      if (retry !== null && retry < retryCount) {
+        return timeout();
+      }
+      var delay = notified ? 0 : strategy.next();
+      if (acquireTimeout) {
+        var remaining = startTime + acquireTimeout - Date.now();
+        if (remaining <= 0) {
+          return timeout();
+        }
+        delay = Math.min(delay, remaining);
+      }
+      emit('retry', {
+        'waitTime': Date.now() - startTime,
+        'attempts': retryCount
+      });
+      self.logger.debug('retry key = ' + target.lockKey + ' value = ' + target.lockValue +
+          ' storeIndex = ' + storeIndexes.join(',') + ' retry = ' + retry + ' delay = ' + delay);
+      timer = setTimeout(function() {
+        timer = null;
+        fn();
+      }, delay);
+    });
+  };
+
+  this.waiters.push(waiter);
+  if (signal) {
+    if (signal.aborted) {
+      return abort();
+    }
+    addAbortListener(signal, abort);
+  }
+  this._subscribeRelease(storeIndexes, channels, wakeup);
+  fn();
+};
+
+/**
+ * Emit lifecycle event of a lock
+ * Event has key (main key), lockKey and storeIndexes of the lock, and fields.
+ * @param {string} name - name of event
+ * @param {Object} target - key, lockKey and storeIndexes of lock
+ * @param {Object} fields - waitTime, holdTime, attempts, ...
+ */
+Mutex.prototype._emitEvent = function(name, target, fields) {
+  var event = {
+    'key': target.key,
+    'lockKey': target.lockKey,
+    'storeIndexes': target.storeIndexes
+  };
+  Object.keys(fields).forEach(function(field) {
+    event[field] = fields[field];
+  });
+  this.emit(name, event);
+};
+
+/**
+ * Stop tracking a held lock, and create callback of unlock which emits released or alreadyUnlocked event
+ * @param {Object} target - key, lockKey, storeIndexes and acquiredAt of lock
+ * @param {Function} callback - (not require) callback(err, alreadyUnlocked)
+ * @return {Function} callback(err, alreadyUnlocked)
+ */
+Mutex.prototype._releaseHeld = function(target, callback) {
+  var self = this;
+  var index = this.heldLocks.indexOf(target);
+  if (index >= 0) {
+    this.heldLocks.splice(index, 1);
+  }
+  return function(err, alreadyUnlocked) {
+    if (!err) {
+      self._emitEvent(alreadyUnlocked ? 'alreadyUnlocked' : 'released', target, {
+        'holdTime': Date.now() - target.acquiredAt
+      });
+    }
+    return callback && callback(err, alreadyUnlocked);
+  };
+};
+
+/**
+ * Listen release notifications of locks
+ * @param {Array} storeIndexes - indexes of Redis
+ * @param {Array} channels - channels of release notification
+ * @param {Function} listener
+ */
+Mutex.prototype._subscribeRelease = function(storeIndexes, channels, listener) {
+  var self = this;
+  storeIndexes.forEach(function(storeIndex) {
+    var listeners = self.releaseListeners[storeIndex];
+    if (!listeners) {
+      return; // no subscriber, polling only
+    }
+    channels.forEach(function(channel) {
+      if (!listeners[channel]) {
+        listeners[channel] = [];
+        self.subscribers[storeIndex].send_command('subscribe', [channel], function(err) {
+          if (err) {
+            self.logger.error('[ RedisSub_' + storeIndex + ' ] subscribe error : ' + err);
+          }
+        });
+      }
+      listeners[channel].push(listener);
+    });
+  });
+};
+
+/**
+ * Stop listening release notifications of locks
+ * @param {Array} storeIndexes - indexes of Redis
+ * @param {Array} channels - channels of release notification
+ * @param {Function} listener
+ */
+Mutex.prototype._unsubscribeRelease = function(storeIndexes, channels, listener) {
+  var self = this;
+  storeIndexes.forEach(function(storeIndex) {
+    var listeners = self.releaseListeners[storeIndex];
+    if (!listeners) {
+      return;
+    }
+    channels.forEach(function(channel) {
+      var index = listeners[channel] ? listeners[channel].indexOf(listener) : -1;
+      if (index < 0) {
+        return;
+      }
+      listeners[channel].splice(index, 1);
+      if (listeners[channel].length <= 0) {
+        delete listeners[channel];
+        self.subscribers[storeIndex].send_command('unsubscribe', [channel], function(err) {
+          if (err) {
+            self.logger.error('[ RedisSub_' + storeIndex + ' ] unsubscribe error : ' + err);
+          }
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Add RedisClient which subscribes release notifications
+ * @param {number} storeIndex - index of Redis
+ * @param {RedisClient} redisClient - redis client
+ */
+Mutex.prototype._addSubscriber = function(storeIndex, redisClient) {
+  var self = this;
+
+  if (redisClient && !this.subscribers[storeIndex]) {
+    this.subscribers[storeIndex] = redisClient;
+    this.releaseListeners[storeIndex] = {};
+
+    this.subscribers[storeIndex].on('message', function(channel) {
+      var listeners = self.releaseListeners[storeIndex][channel];
+      if (listeners) {
+        listeners.slice().forEach(function(listener) {
+          listener();
+        });
+      }
+    });
+    this.subscribers[storeIndex].on('error', function(err) {
+      self.logger.error('[ RedisSub_' + storeIndex + ' ] error : ' + err);
+    });
+  }
+};
+
+/**
+ * Get indexes of Redis which are neither uninitialized nor blocked
+ * @param {Array} storeIndexes - indexes of Redis
+ * @param {string} lockKey - key of lock
+ * @param {number} expiry - expiry of lock
+ * @param {string} key - main key of lock, for blocked event
+ * @return {Object} storeIndexes - usable indexes, error - reason of the last unusable Redis
+ */
+Mutex.prototype._getUsableStoreIndexes = function(storeIndexes, lockKey, expiry, key) {
+  var usable = {
+    'storeIndexes': [],
+    'error': null
+  };
+  for (var i = 0; i < storeIndexes.length; i++) {
+    var storeIndex = storeIndexes[i];
+    if (!this.stores[storeIndex] || this._getStoreStatus(storeIndex) === STORE_STATUS_UNINIT) {
+      usable.error = new Error('Store is uninitialized. : storeIndex = ' + storeIndex);
+      continue;
+    }
+    var blockingTime = this._getStoreBlockingTime(storeIndex, key, expiry);
+    if (blockingTime > 0) {
+      usable.error = new Error('Lock acquisition is blocked. : storeIndex = ' + storeIndex +
+        ' blockingTime = ' + blockingTime + ' lockKey = ' + lockKey);
+      this._emitEvent('blocked', { 'key': key, 'lockKey': lockKey, 'storeIndexes': [storeIndex] }, {
+        'blockingTime': blockingTime
+      });
+      continue;
+    }
+    usable.storeIndexes.push(storeIndex);
+  }
+  return usable;
+};
+
+/**
+ * Send command to Redis in parallel
+ * @param {Array} storeIndexes - indexes of Redis
+ * @param {string} command - redis command
+ * @param {Array} args - arguments of command
+ * @param {Function} callback - callback(errors, results) in order of storeIndexes
+ */
+Mutex.prototype._sendCommandToStores = function(storeIndexes, command, args, callback) {
+  this._callStores(storeIndexes, 'send_command', [command, args], callback);
+};
+
+/**
+ * Call a method of stores in parallel
+ * @param {Array} storeIndexes - indexes of Redis
+ * @param {string} method - acquire, release, extend, inspect or send_command
+ * @param {Array} args - arguments of method without callback
+ * @param {Function} callback - callback(errors, results) in order of storeIndexes
+ */
+Mutex.prototype._callStores = function(storeIndexes, method, args, callback) {
+  var self = this;
+  var errors = [];
+  var results = [];
+  var remaining = storeIndexes.length;
+  if (remaining <= 0) {
+    return callback(errors, results);
+  }
+
+  storeIndexes.forEach(function(storeIndex, i) {
+    if (!self.stores[storeIndex]) {
+      errors[i] = new Error('Store is uninitialized. : storeIndex = ' + storeIndex);
+      results[i] = null;
+      if (--remaining === 0) {
+        callback(errors, results);
+      }
+      return;
+    }
+    self.stores[storeIndex][method].apply(self.stores[storeIndex], args.concat(function(err, result) {
+      errors[i] = err || null;
+      results[i] = err ? null : result;
+      if (--remaining === 0) {
+        callback(errors, results);
+      }
+    }));
+  });
+};
+
+/**
+ * Raise fencing token of the Redis which hold a lock to the token of the lock (quorum mode and migration)
+ * Counters of Redis are independent, so the token is shared by the Redis which hold the lock.
+ * The next majority overlaps them, and the Redis of the new topology keeps the token after migration.
+ * @param {Array} storeIndexes - indexes of Redis which hold the lock
+ * @param {string} fencingKey - key of fencing token
+ * @param {number} token - token of the lock
+ * @param {number} quorum - number of Redis which must be raised
+ * @param {Function} callback - callback(err)
+ */
+Mutex.prototype._syncFencingToken = function(storeIndexes, fencingKey, token, quorum, callback) {
+  if (storeIndexes.length <= 1) {
+    return callback(null);
+  }
+
+  this._callStores(storeIndexes, 'raiseToken', [fencingKey, token], function(errors) {
+    var failures = errors.filter(Boolean);
+    if (storeIndexes.length - failures.length < quorum) {
+      return callback(failures[0]);
+    }
+    return callback(null);
+  });
+};
+
+/**
+ * Create unlock function of an acquired lock
+ * unlock(callback) also has extend(ms, callback), signal (AbortSignal) and token (fencing token).
+ * @param {Object} lease - lockKey, lockValue, storeIndexes, expiry and deadline of lock
+ * @param {Object} option - option of lock
+ * @return {Function} unlock function
+ */
+Mutex.prototype._createLockHandle = function(lease, option) {
+  var self = this;
+  lease.onLost = option.onLost || null;
+  if (typeof AbortController === 'function') {
+    lease.controller = new AbortController();
+  }
+  this._trackLease(lease);
+
+  var unlock = function(cb) {
+    if (lease.released) {
+      // a second release of the handle must not decrement the hold count of other holds
+      return callbackOrHandledPromise(cb, self, function(cb) {
+        setImmediate(cb, null, true);
+      });
+    }
+    self._untrackLease(lease);
+    lease.released = true;
+    return callbackOrHandledPromise(cb, self, function(cb) {
+      self._unlock(lease.lockKey, lease.lockValue, lease.holdsKey, self._releaseHeld(lease, cb));
+    });
+  };
+
+  var extend = function(ms, cb) {
+    var now = Date.now();
+    self._extend(lease.lockKey, lease.lockValue, ms, lease.holdsKey, function(err, extended) {
+      if (!err) {
+        if (extended) {
+          lease.expireAt = now + ms;
+          lease.deadline = now + ms - self._getClockDrift(ms);
+          self._scheduleLeaseDeadline(lease);
+        } else {
+          self._loseLease(lease, 'unlocked');
+        }
+      }
+      return cb(err, extended);
+    });
+  };
+
+  unlock.extend = function(ms, cb) {
+    if (typeof ms === 'function') {
+      cb = ms;
+      ms = null;
+    }
+    return callbackOrPromise(cb, function(cb) {
+      extend(self._capExpiry(ms || lease.expiry), cb);
+    });
+  };
+  unlock.signal = lease.controller ? lease.controller.signal : null;
+  unlock.token = lease.token;
+
+  // extend the lease in the background until unlock
+  if (option.autoRenew) {
+    var renewInterval = Math.max(Math.floor(lease.expiry / 3), 1);
+    var renew = function() {
+      extend(lease.expiry, function(err) {
+        if (lease.released || lease.lost) {
+          return;
+        }
+        if (err) {
+          self.logger.error('auto renew failure key = ' + lease.lockKey + ' : ' + err);
+        }
+        lease.renewTimer = setTimeout(renew, renewInterval);
+      });
+    };
+    lease.renewTimer = setTimeout(renew, renewInterval);
+  }
+
+  return unlock;
+};
+
+/**
+ * Start tracking lease of a held lock
+ * @param {Object} lease - lease of lock
+ */
+Mutex.prototype._trackLease = function(lease) {
+  this.leases.push(lease);
+  this._scheduleLeaseDeadline(lease);
+};
+
+/**
+ * Stop tracking lease of a lock
+ * @param {Object} lease - lease of lock
+ */
+Mutex.prototype._untrackLease = function(lease) {
+  clearTimeout(lease.deadlineTimer);
+  clearTimeout(lease.renewTimer);
+  var index = this.leases.indexOf(lease);
+  if (index >= 0) {
+    this.leases.splice(index, 1);
+  }
+};
+
+/**
+ * Set timer which fires when the lease may have expired
+ * @param {Object} lease - lease of lock
+ */
+Mutex.prototype._scheduleLeaseDeadline = function(lease) {
+  var self = this;
+  clearTimeout(lease.deadlineTimer);
+  lease.deadlineTimer = setTimeout(function() {
+    self._loseLease(lease, 'expired');
+  }, Math.max(lease.deadline - Date.now(), 0));
+  if (lease.deadlineTimer.unref) {
+    lease.deadlineTimer.unref();
+  }
+};
+
+/**
+ * Notify holder that the lease may be lost
+ * Calls option.onLost and aborts signal of the lock.
+ * @param {Object} lease - lease of lock
+ * @param {string} reason - expired, unlocked or status of Redis
+ */
+Mutex.prototype._loseLease = function(lease, reason) {
+  if (lease.released || lease.lost) {
+    return;
+  }
+  lease.lost = true;
+  this._untrackLease(lease);
+
+  var err = new Error('Lock lease is lost. : storeIndex = ' + lease.storeIndexes.join(',') +
+    ' reason = ' + reason + ' lockKey = ' + lease.lockKey);
+  err.reason = reason;
+  this.logger.warn(err.message);
+  if (lease.controller) {
+    lease.controller.abort(err);
+  }
+  if (lease.onLost) {
+    lease.onLost(err);
+  }
+};
+
+/**
+ * extend expiry of lock
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {number} expiry - new expiry (msec)
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback - callback(err, extended)
+ */
+Mutex.prototype._extend = function(lockKey, lockValue, expiry, holdsKey, callback) {
+  var self = this;
+  var storeIndexes = this._getStoreIndexes(lockKey);
+
+  this._callStores(storeIndexes, 'extend', [lockKey, lockValue, expiry, holdsKey], function(errors, results) {
+    var count = self._countQuorumResults(errors, results);
+    if (count.error && count.ok < self._getQuorum(storeIndexes)) {
+      return callback && callback(count.error);
+    }
+
+    var extended = true;
+    if (count.ok < self._getQuorum(storeIndexes)) {
+      extended = false;
+      self.logger.warn('already unlocked key = ' + lockKey + ' value = ' + lockValue +
+        ' storeIndex = ' + storeIndexes.join(','));
+    } else {
+      self.logger.debug('extend key = ' + lockKey + ' value = ' + lockValue +
+        ' storeIndex = ' + storeIndexes.join(',') + ' expiry = ' + expiry);
+    }
+    return callback && callback(null, extended);
+  });
+};
+
+/**
+ * unlock
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback
+ */
+Mutex.prototype._unlock = function(lockKey, lockValue, holdsKey, callback) {
+  var self = this;
+  var storeIndexes = this._getStoreIndexes(lockKey);
+
+  this._releaseOnStores(storeIndexes, lockKey, lockValue, holdsKey, function(errors, results) {
+    var count = self._countQuorumResults(errors, results);
+    if (count.error && count.ok < self._getQuorum(storeIndexes)) {
+      return callback && callback(count.error);
+    }
+
+    var alreadyUnlocked = false;
+    if (count.ok < self._getQuorum(storeIndexes)) {
+      alreadyUnlocked = true;
+      self.logger.warn('already unlocked key = ' + lockKey + ' value = ' + lockValue +
+        ' storeIndex = ' + storeIndexes.join(','));
+    } else {
+      self.logger.debug('unlock key = ' + lockKey + ' value = ' + lockValue +
+        ' storeIndex = ' + storeIndexes.join(','));
+    }
+    return callback && callback(null, alreadyUnlocked);
+  });
+};
+
+/**
+ * Delete a lock key on Redis if the value is held
+ * A reentrant lock is deleted by the last release of the holder.
+ * @param {Array} storeIndexes - indexes of Redis
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback - callback(errors, results) in order of storeIndexes
+ */
+Mutex.prototype._releaseOnStores = function(storeIndexes, lockKey, lockValue, holdsKey, callback) {
+  this._callStores(storeIndexes, 'release', [lockKey, lockValue, holdsKey, lockKey + RELEASE_CHANNEL], callback);
+};
+
+/**
+ * Count Redis which returned non zero result
+ * @param {Array} errors - errors of _sendCommandToStores
+ * @param {Array} results - results of _sendCommandToStores
+ * @return {Object} ok - number of non zero results, error - first error
+ */
+Mutex.prototype._countQuorumResults = function(errors, results) {
+  var count = {
+    'ok': 0,
+    'error': null
+  };
+  for (var i = 0; i < results.length; i++) {
+    if (errors[i]) {
+      count.error = count.error || errors[i];
+    } else if (results[i] !== 0) {
+      count.ok++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Run function as an owner of reentrant locks
+ * Locks acquired in the async context of fn are reentrant for the owner, unless option.owner is given.
+ * @param {string} owner - identity of owner (e.g. request id)
+ * @param {Function} fn
+ * @return {*} result of fn
+ */
+Mutex.prototype.runAsOwner = function(owner, fn) {
+  if (!this.ownerStorage) {
+    throw new Error('runAsOwner is not supported. AsyncLocalStorage is not found.');
+  }
+  return this.ownerStorage.run(owner, fn);
+};
+
+/**
+ * acquire lock, call function and release lock
+ * The lock is released even if the function throws or rejects.
+ * (key, [subKey], [option], fn)
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} fn - function(unlock) which returns a value or Promise
+ * @return {Promise} result of fn
+ */
+Mutex.prototype.withLock = function(key, subKey, option, fn) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  if (args.error || !args.callback) {
+    return Promise.reject(args.error || new Error('Unsupported arguments'));
+  }
+  fn = args.callback;
+
+  return this.lock(args.key, args.subKey, args.option).then(function(unlock) {
+    var release = function(fnErr) {
+      return unlock().then(null, function(err) {
+        if (fnErr) {
+          self.logger.error('unlock failure after error key = ' + args.key + ' : ' + err);
+          return undefined;
+        }
+        throw err;
+      });
+    };
+
+    var result;
+    try {
+      result = Promise.resolve(fn(unlock));
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+    return result.then(function(value) {
+      return release(null).then(function() {
+        return value;
+      });
+    }, function(err) {
+      return release(err).then(function() {
+        throw err;
+      });
+    });
+  });
+};
+
+/**
+ * acquire locks of several keys together
+ * Keys are locked in canonical order, all or nothing.
+ * @param {Array} targets - [{key: key, subKey: subKey}, ...]
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.lockMany = function(targets, option, callback) {
+  var self = this;
+  if (typeof option === 'function') {
+    callback = option;
+    option = {};
+  }
+  option = option || {};
+  return callbackOrPromise(callback, function(callback) {
+    if (!(targets instanceof Array) || targets.length <= 0) {
+      return callback(new Error('Unsupported arguments'), null);
+    }
+    var err = self._checkSingleStore('lockMany') || self._checkStoreCommands('lockMany', ['eval']);
+    if (err) {
+      return callback(err, null);
+    }
+    self._lockMany(targets, option, callback);
+  });
+};
+
+/**
+ * acquire locks of several keys together
+ * @param {Array} targets - [{key: key, subKey: subKey}, ...]
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._lockMany = function(targets, option, callback) {
+  var self = this;
+  var lockValue = this._createLockValue();
+
+  // canonical order of lock keys, grouped by Redis
+  var locks = {};
+  targets.forEach(function(target) {
+    var subKey = target.subKey instanceof Array ? target.subKey.join(KEY_SEPARATOR) : target.subKey;
+    var lockKey = self._createLockKey(target.key, subKey);
+    locks[lockKey] = {
+      'lockKey': lockKey,
+      'storeIndex': self._getStoreIndex(lockKey),
+      'expiry': self._getExpiry(target.key, option)
+    };
+  });
+  var lockKeys = Object.keys(locks).sort();
+  var groups = [];
+  lockKeys.forEach(function(lockKey) {
+    var lock = locks[lockKey];
+    var group = groups.filter(function(group) {
+      return group.storeIndex === lock.storeIndex;
+    })[0];
+    if (!group) {
+      group = {
+        'storeIndex': lock.storeIndex,
+        'lockKeys': [],
+        'expiries': []
+      };
+      groups.push(group);
+    }
+    group.lockKeys.push(lockKey);
+    group.expiries.push(lock.expiry);
+  });
+  groups.sort(function(a, b) {
+    return a.storeIndex - b.storeIndex;
+  });
+
+  var target = {
+    'key': targets.map(function(target) {
+      return target.key;
+    }).join(','),
+    'lockKey': lockKeys.join(','),
+    'lockValue': lockValue,
+    'storeIndexes': groups.map(function(group) {
+      return group.storeIndex;
+    }),
+    'channels': lockKeys.map(function(lockKey) {
+      return lockKey + RELEASE_CHANNEL;
+    }),
+    'expiry': Math.max.apply(null, lockKeys.map(function(lockKey) {
+      return locks[lockKey].expiry;
+    }))
+  };
+
+  // redis lua script
+  var script =
+    'for i = 1, #KEYS do' + '\n' +
+    '    if redis.call("exists", KEYS[i]) == 1 then' + '\n' +
+    '        return 0' + '\n' +
+    '    end' + '\n' +
+    'end' + '\n' +
+    'for i = 1, #KEYS do' + '\n' +
+    '    redis.call("set", KEYS[i], ARGV[1], "PX", ARGV[i + 1])' + '\n' +
+    'end' + '\n' +
+    'return 1';
+
+  var unlock = function(cb) {
+    return callbackOrHandledPromise(cb, self, function(cb) {
+      self._unlockMany(groups, lockValue, self._releaseHeld(target, cb));
+    });
+  };
+
+  this._retry(target, option, function(done) {
+    var acquiredGroups = [];
+    var rollback = function(err) {
+      self._unlockMany(acquiredGroups, lockValue, function() {
+        return done(err, null);
+      });
+    };
+
+    // Redis in order
+    var next = function(index) {
+      if (index >= groups.length) {
+        self.logger.debug('lock key = ' + target.lockKey + ' value = ' + lockValue +
+            ' storeIndex = ' + target.storeIndexes.join(','));
+        return done(null, unlock);
+      }
 
-    self.stores[storeIndex].send_command('set', [lockKey, lockValue, 'PX', expiry, 'NX'],
-      function(err, result) {
+      var group = groups[index];
+      var usable = self._getUsableStoreIndexes([group.storeIndex], group.lockKeys.join(','),
+        Math.max.apply(null, group.expiries), target.key);
+      if (usable.storeIndexes.length <= 0) {
+        return rollback(usable.error);
+      }
+
+      var args = [script, group.lockKeys.length].concat(group.lockKeys, [lockValue], group.expiries);
+      self.stores[group.storeIndex].send_command('eval', args, function(err, result) {
         if (err) {
-          return callback(err, null);
+          return rollback(err);
         }
-
-        // lock ok
-        if (result && result === 'OK') {
-          self.logger.debug('lock key = ' + lockKey + ' value = ' + lockValue +
-              ' storeIndex = ' + storeIndex + ' expiry = ' + expiry);
-          return callback(null, unlock);
+        if (result !== 1) {
+          return rollback(null);
         }
+        acquiredGroups.push(group);
+        return next(index + 1);
+      });
+    };
+    next(0);
+  }, callback);
+};
+
+/**
+ * release locks of several keys
+ * @param {Array} groups - lock keys grouped by Redis
+ * @param {string} lockValue - value of lock
+ * @param {Function} callback - callback(err, alreadyUnlocked)
+ */
+Mutex.prototype._unlockMany = function(groups, lockValue, callback) {
+  var self = this;
+  var storeIndexes = groups.map(function(group) {
+    return group.storeIndex;
+  });
+  var lockKeys = [];
+  groups.forEach(function(group) {
+    lockKeys = lockKeys.concat(group.lockKeys);
+  });
+
+  // redis lua script
+  var script =
+    'local count = 0' + '\n' +
+    'for i = 1, #KEYS do' + '\n' +
+    '    if redis.call("get", KEYS[i]) == ARGV[1] then' + '\n' +
+    '        redis.call("publish", KEYS[i] .. ARGV[2], KEYS[i])' + '\n' +
+    '        count = count + redis.call("del", KEYS[i])' + '\n' +
+    '    end' + '\n' +
+    'end' + '\n' +
+    'return count';
 
-        // retry
-        retryCount++;
-        self.logger.debug('retry key = ' + lockKey + ' value = ' + lockValue +
-            ' storeIndex = ' + storeIndex + ' retry = ' + retry + ' interval = ' + interval);
-        return setTimeout(fn, interval);
+  var error = null;
+  var released = 0;
+  var remaining = groups.length;
+  if (remaining <= 0) {
+    return callback && callback(null, false);
+  }
+  groups.forEach(function(group) {
+    var args = [script, group.lockKeys.length].concat(group.lockKeys, [lockValue, RELEASE_CHANNEL]);
+    self._sendCommandToStores([group.storeIndex], 'eval', args, function(errors, results) {
+      error = error || errors[0];
+      released += results[0] || 0;
+      if (--remaining > 0) {
+        return;
       }
-    );
+      var result = released < lockKeys.length ? 0 : released;
+      self._completeUnlock(lockKeys.join(','), lockValue, storeIndexes.join(','), error, result, callback);
+    });
+  });
+};
+
+/**
+ * acquire shared read lock
+ * Any number of readers hold the lock at once while no writer holds or waits.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.readLock = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    var err = args.error || self._checkSingleStore('readLock') || self._checkStoreCommands('readLock', ['eval']);
+    if (err) {
+      return callback(err, null);
+    }
+    self._rwLock(RW_LOCK_READ, args.key, args.subKey, args.option, callback);
+  });
+};
+
+/**
+ * acquire exclusive write lock
+ * A waiting writer blocks new readers unless option.preferWriter is false.
+ * @param {string} key - main key
+ * @param {string} subKey - sub key (not require)
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.writeLock = function(key, subKey, option, callback) {
+  var self = this;
+  var args = this._parseLockArguments(arguments);
+  return callbackOrPromise(args.callback, function(callback) {
+    var err = args.error || self._checkSingleStore('writeLock') || self._checkStoreCommands('writeLock', ['eval']);
+    if (err) {
+      return callback(err, null);
+    }
+    self._rwLock(RW_LOCK_WRITE, args.key, args.subKey, args.option, callback);
+  });
+};
+
+/**
+ * acquire read or write lock
+ * @param {string} type - read or write
+ * @param {string} key - main key
+ * @param {string} subKey - sub key
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._rwLock = function(type, key, subKey, option, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(key, subKey);
+  var lockValue = this._createLockValue();
+  var storeIndex = this._getStoreIndex(lockKey);
+  var expiry = this._getExpiry(key, option);
+  var maxDelay = this._createRetryStrategy(option).getMaxDelay();
+  var pendingExpiry = option.preferWriter === false ? 0 : maxDelay * RW_PENDING_INTERVALS;
+  var keys = [lockKey + RW_KEY_WRITER, lockKey + RW_KEY_READERS, lockKey + RW_KEY_PENDING];
+  var target = {
+    'key': key,
+    'lockKey': lockKey,
+    'lockValue': lockValue,
+    'storeIndexes': [storeIndex],
+    'channels': [keys[0] + RELEASE_CHANNEL, keys[1] + RELEASE_CHANNEL],
+    'expiry': expiry
   };
 
-  fn();
+  // redis lua script
+  var script;
+  if (type === RW_LOCK_READ) {
+    script = LUA_NOW +
+      'if redis.call("exists", KEYS[1]) == 1 or redis.call("exists", KEYS[3]) == 1 then' + '\n' +
+      '    return 0' + '\n' +
+      'end' + '\n' +
+      'redis.call("zremrangebyscore", KEYS[2], "-inf", now)' + '\n' +
+      'redis.call("zadd", KEYS[2], now + tonumber(ARGV[2]), ARGV[1])' + '\n' +
+      'if redis.call("pttl", KEYS[2]) < tonumber(ARGV[2]) then' + '\n' +
+      '    redis.call("pexpire", KEYS[2], ARGV[2])' + '\n' +
+      'end' + '\n' +
+      'return 1';
+  } else {
+    script = LUA_NOW +
+      'redis.call("zremrangebyscore", KEYS[2], "-inf", now)' + '\n' +
+      'if redis.call("exists", KEYS[1]) == 0 and redis.call("zcard", KEYS[2]) == 0 then' + '\n' +
+      '    redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])' + '\n' +
+      '    if redis.call("get", KEYS[3]) == ARGV[1] then' + '\n' +
+      '        redis.call("del", KEYS[3])' + '\n' +
+      '    end' + '\n' +
+      '    return 1' + '\n' +
+      'end' + '\n' +
+      'if tonumber(ARGV[3]) > 0 then' + '\n' +
+      '    local pending = redis.call("get", KEYS[3])' + '\n' +
+      '    if not pending or pending == ARGV[1] then' + '\n' +
+      '        redis.call("set", KEYS[3], ARGV[1], "PX", ARGV[3])' + '\n' +
+      '    end' + '\n' +
+      'end' + '\n' +
+      'return 0';
+  }
+
+  this._retry(target, option, function(done) {
+    var usable = self._getUsableStoreIndexes([storeIndex], lockKey, expiry, key);
+    if (usable.storeIndexes.length <= 0) {
+      return done(usable.error, null);
+    }
+
+    var args = [script, keys.length].concat(keys, [lockValue, expiry, pendingExpiry]);
+    self.stores[storeIndex].send_command('eval', args, function(err, result) {
+      if (err) {
+        return done(err, null);
+      }
+      if (result !== 1) {
+        return done(null, null);
+      }
+
+      self.logger.debug(type + ' lock key = ' + lockKey + ' value = ' + lockValue +
+          ' storeIndex = ' + storeIndex + ' expiry = ' + expiry);
+      var unlock = function(cb) {
+        return callbackOrHandledPromise(cb, self, function(cb) {
+          self._rwUnlock(type, keys, lockValue, storeIndex, self._releaseHeld(target, cb));
+        });
+      };
+      return done(null, unlock);
+    });
+  }, callback);
 };
 
 /**
- * unlock
+ * release read or write lock
+ * @param {string} type - read or write
+ * @param {Array} keys - writer, readers and pending keys of lock
+ * @param {string} lockValue - value of lock
+ * @param {number} storeIndex - index of Redis
+ * @param {Function} callback - callback(err, alreadyUnlocked)
+ */
+Mutex.prototype._rwUnlock = function(type, keys, lockValue, storeIndex, callback) {
+  var self = this;
+  if (type === RW_LOCK_READ) {
+    return this._releaseMember(keys[1], lockValue, storeIndex, callback);
+  }
+
+  this._releaseOnStores([storeIndex], keys[0], lockValue, null, function(errors, results) {
+    self._completeUnlock(keys[0], lockValue, storeIndex, errors[0], results[0], callback);
+  });
+};
+
+/**
+ * Remove a holder from sorted set of holders scored by expiry
+ * @param {string} lockKey - key of sorted set
+ * @param {string} lockValue - value of holder
+ * @param {number} storeIndex - index of Redis
+ * @param {Function} callback - callback(err, alreadyUnlocked)
+ */
+Mutex.prototype._releaseMember = function(lockKey, lockValue, storeIndex, callback) {
+  var self = this;
+
+  // redis lua script
+  var script = LUA_NOW +
+    'local expiry = redis.call("zscore", KEYS[1], ARGV[1])' + '\n' +
+    'if redis.call("zrem", KEYS[1], ARGV[1]) == 1 then' + '\n' +
+    '    redis.call("publish", ARGV[2], KEYS[1])' + '\n' +
+    'end' + '\n' +
+    'if expiry and tonumber(expiry) > now then' + '\n' +
+    '    return 1' + '\n' +
+    'else' + '\n' +
+    '    return 0' + '\n' +
+    'end';
+  var args = [script, 1, lockKey, lockValue, lockKey + RELEASE_CHANNEL];
+  this.stores[storeIndex].send_command('eval', args, function(err, result) {
+    self._completeUnlock(lockKey, lockValue, storeIndex, err, result, callback);
+  });
+};
+
+/**
+ * Log result of unlock and call callback
  * @param {string} lockKey - key of lock
  * @param {string} lockValue - value of lock
+ * @param {number} storeIndex - index of Redis
+ * @param {Error} err - error of redis command
+ * @param {number} result - 0 if the lock has already been released
+ * @param {Function} callback - callback(err, alreadyUnlocked)
+ */
+Mutex.prototype._completeUnlock = function(lockKey, lockValue, storeIndex, err, result, callback) {
+  if (err) {
+    return callback && callback(err);
+  }
+
+  var alreadyUnlocked = false;
+  if (result === 0) {
+    alreadyUnlocked = true;
+    this.logger.warn('already unlocked key = ' + lockKey + ' value = ' + lockValue + ' storeIndex = ' + storeIndex);
+  } else {
+    this.logger.debug('unlock key = ' + lockKey + ' value = ' + lockValue + ' storeIndex = ' + storeIndex);
+  }
+  return callback && callback(null, alreadyUnlocked);
+};
+
+/**
+ * acquire one of permits of a counting semaphore
+ * (key, permits, [option], [callback])
+ * @param {string} key - main key
+ * @param {number} permits - number of holders at the same time
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.semaphore = function(key, permits, option, callback) {
+  var self = this;
+  if (typeof option === 'function') {
+    callback = option;
+    option = {};
+  }
+  option = option || {};
+  return callbackOrPromise(callback, function(callback) {
+    if (!(permits >= 1) || Math.floor(permits) !== permits) {
+      return callback(new Error('Unsupported arguments : permits = ' + permits), null);
+    }
+    var err = self._checkSingleStore('semaphore') || self._checkStoreCommands('semaphore', ['eval']);
+    if (err) {
+      return callback(err, null);
+    }
+    self._semaphore(key, permits, option, callback);
+  });
+};
+
+/**
+ * acquire one of permits of a counting semaphore
+ * @param {string} key - main key
+ * @param {number} permits - number of holders at the same time
+ * @param {Object} option
  * @param {Function} callback
  */
-Mutex.prototype._unlock = function(lockKey, lockValue, callback) {
+Mutex.prototype._semaphore = function(key, permits, option, callback) {
   var self = this;
+  var lockKey = this._createLockKey(key) + SEMAPHORE_KEY;
+  var lockValue = this._createLockValue();
   var storeIndex = this._getStoreIndex(lockKey);
+  var expiry = this._getExpiry(key, option);
+  var target = {
+    'key': key,
+    'lockKey': lockKey,
+    'lockValue': lockValue,
+    'storeIndexes': [storeIndex],
+    'channels': [lockKey + RELEASE_CHANNEL],
+    'expiry': expiry
+  };
 
   // redis lua script
-  var script =
-    'if redis.call("get", KEYS[1]) == ARGV[1] then' + '\n' +
-    '    return redis.call("del", KEYS[1])' + '\n' +
+  var script = LUA_NOW +
+    'redis.call("zremrangebyscore", KEYS[1], "-inf", now)' + '\n' +
+    'if redis.call("zcard", KEYS[1]) >= tonumber(ARGV[3]) then' + '\n' +
+    '    return 0' + '\n' +
+    'end' + '\n' +
+    'redis.call("zadd", KEYS[1], now + tonumber(ARGV[2]), ARGV[1])' + '\n' +
+    'if redis.call("pttl", KEYS[1]) < tonumber(ARGV[2]) then' + '\n' +
+    '    redis.call("pexpire", KEYS[1], ARGV[2])' + '\n' +
+    'end' + '\n' +
+    'return 1';
+
+  this._retry(target, option, function(done) {
+    var usable = self._getUsableStoreIndexes([storeIndex], lockKey, expiry, key);
+    if (usable.storeIndexes.length <= 0) {
+      return done(usable.error, null);
+    }
+
+    var args = [script, 1, lockKey, lockValue, expiry, permits];
+    self.stores[storeIndex].send_command('eval', args, function(err, result) {
+      if (err) {
+        return done(err, null);
+      }
+      if (result !== 1) {
+        return done(null, null);
+      }
+
+      self.logger.debug('semaphore key = ' + lockKey + ' value = ' + lockValue +
+          ' storeIndex = ' + storeIndex + ' permits = ' + permits + ' expiry = ' + expiry);
+      var release = function(cb) {
+        return callbackOrHandledPromise(cb, self, function(cb) {
+          self._releaseMember(lockKey, lockValue, storeIndex, self._releaseHeld(target, cb));
+        });
+      };
+      return done(null, release);
+    });
+  }, callback);
+};
+
+/**
+ * wait at a barrier until parties arrive
+ * The barrier is reset for the next round when the last party arrives.
+ * Waits by retry, interval, retryStrategy, acquireTimeout and signal of option like lock.
+ * Expiry of the barrier is refreshed while waiting.
+ * Fails with TimeoutError after acquireTimeout, AbortError by signal,
+ * and BrokenBarrierError when the Redis is down or failover while waiting (the arrival is withdrawn).
+ * (name, parties, [option], [callback])
+ * @param {string} name - name of barrier
+ * @param {number} parties - number of parties which pass the barrier together
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require) callback(err)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.barrier = function(name, parties, option, callback) {
+  var self = this;
+  if (typeof option === 'function') {
+    callback = option;
+    option = {};
+  }
+  option = option || {};
+  return callbackOrPromise(callback, function(callback) {
+    if (!(parties >= 1) || Math.floor(parties) !== parties) {
+      return callback(new Error('Unsupported arguments : parties = ' + parties));
+    }
+    var err = self._checkSingleStore('barrier') || self._checkStoreCommands('barrier', ['eval']);
+    if (err) {
+      return callback(err);
+    }
+    self._barrier(name, parties, option, callback);
+  });
+};
+
+/**
+ * wait at a barrier until parties arrive
+ * @param {string} name - name of barrier
+ * @param {number} parties - number of parties which pass the barrier together
+ * @param {Object} option
+ * @param {Function} callback
+ */
+Mutex.prototype._barrier = function(name, parties, option, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(name) + BARRIER_KEY;
+  var storeIndex = this._getStoreIndex(lockKey);
+  var expiry = this._getExpiry(name, option);
+  var keys = [lockKey + BARRIER_KEY_ARRIVED, lockKey + BARRIER_KEY_GENERATION];
+  var channel = lockKey + RELEASE_CHANNEL;
+  var target = {
+    'key': name,
+    'lockKey': lockKey,
+    'lockValue': null,
+    'storeIndexes': [storeIndex],
+    'channels': [channel],
+    'observer': true
+  };
+
+  // redis lua script
+  var arriveScript =
+    'local generation = tonumber(redis.call("get", KEYS[2]) or 0)' + '\n' +
+    'if redis.call("incr", KEYS[1]) >= tonumber(ARGV[1]) then' + '\n' +
+    '    redis.call("del", KEYS[1])' + '\n' +
+    '    redis.call("set", KEYS[2], generation + 1, "PX", ARGV[2])' + '\n' +
+    '    redis.call("publish", ARGV[3], KEYS[2])' + '\n' +
     'else' + '\n' +
+    '    redis.call("pexpire", KEYS[1], ARGV[2])' + '\n' +
+    '    redis.call("set", KEYS[2], generation, "PX", ARGV[2])' + '\n' +
+    'end' + '\n' +
+    'return generation';
+  var refreshScript =
+    'local generation = tonumber(redis.call("get", KEYS[2]) or 0)' + '\n' +
+    'if generation == tonumber(ARGV[1]) then' + '\n' +
+    '    redis.call("pexpire", KEYS[1], ARGV[2])' + '\n' +
+    '    redis.call("pexpire", KEYS[2], ARGV[2])' + '\n' +
+    'end' + '\n' +
+    'return generation';
+  var withdrawScript =
+    'if tonumber(redis.call("get", KEYS[2]) or 0) ~= tonumber(ARGV[1]) then' + '\n' +
     '    return 0' + '\n' +
-    'end';
-  this.stores[storeIndex].send_command('eval', [script, 1, lockKey, lockValue], function(err, result) {
+    'end' + '\n' +
+    'if tonumber(redis.call("get", KEYS[1]) or 0) > 0 then' + '\n' +
+    '    redis.call("decr", KEYS[1])' + '\n' +
+    'end' + '\n' +
+    'return 1';
+
+  if (this.closed) {
+    return callback(new Error('Mutex is closed.'));
+  }
+  var usable = this._getUsableStoreIndexes([storeIndex], lockKey, expiry, name);
+  if (usable.storeIndexes.length <= 0) {
+    return callback(usable.error);
+  }
+
+  var args = [arriveScript, keys.length].concat(keys, [parties, expiry, channel]);
+  this.stores[storeIndex].send_command('eval', args, function(err, generation) {
     if (err) {
-      return callback && callback(err);
+      return callback(err);
     }
+    self.logger.debug('barrier key = ' + lockKey + ' storeIndex = ' + storeIndex + ' parties = ' + parties +
+      ' generation = ' + generation);
 
-    var alreadyUnlocked = false;
-    if (result === 0) {
-      alreadyUnlocked = true;
-      self.logger.warn('already unlocked key = ' + lockKey + ' value = ' + lockValue + ' storeIndex = ' + storeIndex);
-    } else {
-      self.logger.debug('unlock key = ' + lockKey + ' value = ' + lockValue + ' storeIndex = ' + storeIndex);
+    // cancel token of waiting, aborted by signal of option or unusual status of the Redis
+    var canceler = new EventEmitter();
+    var cancel = function(reason) {
+      canceler.aborted = true;
+      canceler.reason = reason;
+      canceler.emit('abort');
+    };
+    var onStoreStatus = function(event) {
+      if (event.storeIndex !== storeIndex ||
+          (event.status !== STORE_STATUS_DOWN && event.status !== STORE_STATUS_FAILOVER)) {
+        return;
+      }
+      var broken = new Error('Barrier is broken. : storeIndex = ' + storeIndex + ' status = ' + event.status +
+        ' lockKey = ' + lockKey);
+      broken.name = 'BrokenBarrierError';
+      cancel(broken);
+    };
+    var onAbort = function() {
+      cancel(option.signal.reason);
+    };
+    self.on('storeStatus', onStoreStatus);
+    if (option.signal) {
+      addAbortListener(option.signal, onAbort);
+      if (option.signal.aborted) {
+        onAbort();
+      }
     }
-    return callback && callback(null, alreadyUnlocked);
+
+    var waitOption = {};
+    Object.keys(option).forEach(function(optionName) {
+      waitOption[optionName] = option[optionName];
+    });
+    waitOption.signal = canceler;
+    self._retry(target, waitOption, function(done) {
+      var refreshArgs = [refreshScript, keys.length].concat(keys, [generation, expiry]);
+      self.stores[storeIndex].send_command('eval', refreshArgs, function(err, value) {
+        if (err) {
+          return done(err, null);
+        }
+        return done(null, Number(value) > generation);
+      });
+    }, function(err) {
+      self.removeListener('storeStatus', onStoreStatus);
+      if (option.signal) {
+        removeAbortListener(option.signal, onAbort);
+      }
+      if (!err) {
+        return callback(null);
+      }
+
+      var failure = err;
+      if (err.name === 'AbortError' && canceler.reason && canceler.reason.name === 'BrokenBarrierError') {
+        failure = canceler.reason;
+      } else if (err.name === 'TimeoutError') {
+        failure = new Error('Barrier is timed out. : storeIndex = ' + storeIndex + ' lockKey = ' + lockKey +
+          ' parties = ' + parties + ' generation = ' + generation + ' : ' + err.message);
+        failure.name = 'TimeoutError';
+      } else if (err.name !== 'AbortError') {
+        return callback(err);
+      }
+
+      // withdraw the arrival, a timed out party passes if the last party arrived meanwhile
+      self.stores[storeIndex].send_command('eval', [withdrawScript, keys.length].concat(keys, [generation]),
+        function(withdrawErr, withdrawn) {
+          if (withdrawErr) {
+            self.logger.warn('barrier withdraw failure key = ' + lockKey + ' storeIndex = ' + storeIndex +
+              ' : ' + withdrawErr);
+          } else if (withdrawn === 0 && failure.name === 'TimeoutError') {
+            return callback(null);
+          }
+          return callback(failure);
+        });
+    });
+  });
+};
+
+/**
+ * Create a countdown latch
+ * countDown(callback) decrements the count, and await([option], callback) waits until the count is 0
+ * by retry, interval, retryStrategy, acquireTimeout and signal of option like lock.
+ * The count starts at count by the first countDown, and expires after expiry of name
+ * from the last countDown or the last check of a waiting await, then starts at count again.
+ * An opened latch stays open for option.openExpiry (msec, default is a day) from the last countDown.
+ * @param {string} name - name of latch
+ * @param {number} count - number of countDown which opens the latch
+ * @param {Object} option - expiry and openExpiry (not require)
+ * @return {Object} latch which has countDown, await and getCount
+ */
+Mutex.prototype.latch = function(name, count, option) {
+  var self = this;
+  option = option || {};
+  var invalid = !(count >= 1) || Math.floor(count) !== count;
+  var check = function() {
+    return self._checkSingleStore('latch') || self._checkStoreCommands('latch', ['eval']);
+  };
+
+  return {
+    'countDown': function(callback) {
+      return callbackOrPromise(callback, function(callback) {
+        if (invalid) {
+          return callback(new Error('Unsupported arguments : count = ' + count), null);
+        }
+        var err = check();
+        if (err) {
+          return callback(err, null);
+        }
+        self._countDown(name, count, option, callback);
+      });
+    },
+    'await': function(awaitOption, callback) {
+      if (typeof awaitOption === 'function') {
+        callback = awaitOption;
+        awaitOption = null;
+      }
+      return callbackOrPromise(callback, function(callback) {
+        if (invalid) {
+          return callback(new Error('Unsupported arguments : count = ' + count));
+        }
+        var err = check();
+        if (err) {
+          return callback(err);
+        }
+        self._awaitLatch(name, count, self._getExpiry(name, option), awaitOption || {}, callback);
+      });
+    },
+    'getCount': function(callback) {
+      return callbackOrPromise(callback, function(callback) {
+        var err = self._checkSingleStore('latch');
+        if (err) {
+          return callback(err, null);
+        }
+        self._getLatchCount(name, count, callback);
+      });
+    }
+  };
+};
+
+/**
+ * Decrement count of a latch
+ * @param {string} name - name of latch
+ * @param {number} count - initial count
+ * @param {Object} option
+ * @param {Function} callback - callback(err, remaining)
+ */
+Mutex.prototype._countDown = function(name, count, option, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(name) + LATCH_KEY;
+  var storeIndex = this._getStoreIndex(lockKey);
+  var expiry = this._getExpiry(name, option);
+  var openExpiry = Math.max(option.openExpiry || LATCH_OPEN_EXPIRY, expiry);
+
+  // redis lua script
+  var script =
+    'local remaining = tonumber(redis.call("get", KEYS[1]) or ARGV[1])' + '\n' +
+    'if remaining > 0 then' + '\n' +
+    '    remaining = remaining - 1' + '\n' +
+    'end' + '\n' +
+    'if remaining == 0 then' + '\n' +
+    '    redis.call("set", KEYS[1], remaining, "PX", ARGV[4])' + '\n' +
+    '    redis.call("publish", ARGV[3], KEYS[1])' + '\n' +
+    'else' + '\n' +
+    '    redis.call("set", KEYS[1], remaining, "PX", ARGV[2])' + '\n' +
+    'end' + '\n' +
+    'return remaining';
+
+  var usable = this._getUsableStoreIndexes([storeIndex], lockKey, expiry, name);
+  if (usable.storeIndexes.length <= 0) {
+    return callback(usable.error, null);
+  }
+
+  var args = [script, 1, lockKey, count, expiry, lockKey + RELEASE_CHANNEL, openExpiry];
+  this.stores[storeIndex].send_command('eval', args, function(err, remaining) {
+    if (err) {
+      return callback(err, null);
+    }
+    self.logger.debug('count down key = ' + lockKey + ' storeIndex = ' + storeIndex + ' remaining = ' + remaining);
+    return callback(null, Number(remaining));
+  });
+};
+
+/**
+ * Get count of a latch
+ * @param {string} name - name of latch
+ * @param {number} count - initial count
+ * @param {Function} callback - callback(err, remaining)
+ */
+Mutex.prototype._getLatchCount = function(name, count, callback) {
+  var lockKey = this._createLockKey(name) + LATCH_KEY;
+  var storeIndex = this._getStoreIndex(lockKey);
+
+  this.stores[storeIndex].send_command('get', [lockKey], function(err, value) {
+    if (err) {
+      return callback(err, null);
+    }
+    return callback(null, value === null ? count : Number(value));
+  });
+};
+
+/**
+ * Wait until count of a latch is 0
+ * Expiry of the count is refreshed while waiting, but not expiry of an opened latch.
+ * @param {string} name - name of latch
+ * @param {number} count - initial count
+ * @param {number} expiry - expiry of the count (msec)
+ * @param {Object} option
+ * @param {Function} callback - callback(err)
+ */
+Mutex.prototype._awaitLatch = function(name, count, expiry, option, callback) {
+  var self = this;
+  var lockKey = this._createLockKey(name) + LATCH_KEY;
+  var storeIndex = this._getStoreIndex(lockKey);
+  var target = {
+    'key': name,
+    'lockKey': lockKey,
+    'lockValue': null,
+    'storeIndexes': [storeIndex],
+    'channels': [lockKey + RELEASE_CHANNEL],
+    'observer': true
+  };
+
+  // redis lua script
+  var script =
+    'local remaining = redis.call("get", KEYS[1])' + '\n' +
+    'if not remaining then' + '\n' +
+    '    return tonumber(ARGV[1])' + '\n' +
+    'end' + '\n' +
+    'if tonumber(remaining) > 0 then' + '\n' +
+    '    redis.call("pexpire", KEYS[1], ARGV[2])' + '\n' +
+    'end' + '\n' +
+    'return tonumber(remaining)';
+
+  this._retry(target, option, function(done) {
+    self.stores[storeIndex].send_command('eval', [script, 1, lockKey, count, expiry], function(err, remaining) {
+      if (err) {
+        return done(err, null);
+      }
+      return done(null, Number(remaining) <= 0);
+    });
+  }, function(err) {
+    return callback(err);
+  });
+};
+
+/**
+ * Elect a leader of name among instances
+ * Keeps competing for the lock of name, renews the lease while leading, and steps down on close.
+ * Leadership is revoked at once when the lease is lost (Redis down, failover, expired or unlocked).
+ * option.onElected(token) - called when elected, token is the fencing token of leadership
+ * option.onRevoked(reason) - called when revoked, reason is down, failover, expired, unlocked, stopped or closed
+ * option.leaseMs - expiry of leadership (msec, default is expiry)
+ * option.interval - interval of competing (msec, default is interval)
+ * @param {string} name - name of election
+ * @param {Object} option - (not require)
+ * @return {Election} election, stop(callback) steps down and stops competing
+ */
+Mutex.prototype.elect = function(name, option) {
+  var election = new Election(this, name, option);
+  this.elections = this.elections.filter(function(other) {
+    return !other.stopped;
+  });
+  this.elections.push(election);
+  election.start();
+  return election;
+};
+
+/**
+ * Get the current leader of name
+ * Result is the value of the leader's lock (with valuePrefix), null if no leader.
+ * Returns a Promise when callback is omitted.
+ * @param {string} name - name of election
+ * @param {Function} callback - (not require) callback(err, value)
+ * @return {Promise|undefined}
+ */
+Mutex.prototype.currentLeader = function(name, callback) {
+  var self = this;
+  return callbackOrPromise(callback, function(callback) {
+    self._inspect(name, null, function(err, info) {
+      if (err) {
+        return callback(err, null);
+      }
+      return callback(null, info.locked ? info.value : null);
+    });
   });
 };
 
+/**
+ * Create Mutex which has its own option, stores and logger
+ * Setup is started when option is given, wait the callback before locking.
+ * @param {Object} option - (not require)
+ * @param {Function} callback - (not require)
+ * @return {Mutex}
+ */
+function createMutex(option, callback) {
+  var mutex = new Mutex();
+  if (option) {
+    mutex.setup(option, function(err) {
+      if (callback) {
+        return callback(err, mutex);
+      }
+      if (err) {
+        mutex.logger.error('setup failed. err = ' + err);
+      }
+    });
+  }
+  return mutex;
+}
+
+// default Mutex (backward compatibility)
 module.exports = new Mutex();
+module.exports.Mutex = Mutex;
+module.exports.createMutex = createMutex;
+module.exports.RedisStore = RedisStore;
+module.exports.MemoryStore = MemoryStore;
+module.exports.Metrics = Metrics;
+module.exports.HealthMonitor = HealthMonitor;
+module.exports.LockBusy = LockBusy;
+module.exports.Election = Election;
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Store of locks on Redis
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// const
+var CLIENT_EVENTS = [
+  'connect',
+  'end',
+  'error',
+  'sentinel connect',
+  'sentinel connected',
+  'sentinel disconnected',
+  'sentinel message',
+  'failover start',
+  'failover end',
+  'switch master'
+];
+
+/**
+ * Store of locks on Redis
+ * Store interface is acquire, release, extend, raiseToken, inspect, send_command and quit,
+ * and events of node_redis (connect, end, error, failover start, ...).
+ * hasCommand(command) is optional, a store without it must send every raw command to Redis.
+ * A store whose connected is true is active without connect event.
+ * @constructor
+ * @param {RedisClient} client - redis client (node_redis or redis-sentinel-client)
+ * @param {RedisClient} subscriber - redis client which subscribes release notifications (not require)
+ */
+function RedisStore(client, subscriber) {
+  EventEmitter.call(this);
+  var self = this;
+  this.client = client;
+  this.subscriber = subscriber || null;
+
+  CLIENT_EVENTS.forEach(function(event) {
+    client.on(event, function() {
+      self.emit.apply(self, [event].concat(Array.prototype.slice.call(arguments)));
+    });
+  });
+}
+util.inherits(RedisStore, EventEmitter);
+
+Object.defineProperty(RedisStore.prototype, 'connected', {
+  get: function() {
+    return !!this.client.connected;
+  }
+});
+
+/**
+ * Set a lock key if not exists, and increment its fencing token
+ * With holdsKey, the holder of the same value re-acquires the lock and increments hold count.
+ * Re-acquisition extends expiry, but never shortens it.
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {number} expiry - expiry of lock (msec)
+ * @param {string} fencingKey - key of fencing token
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback - callback(err, token), token is 0 if the key is held
+ */
+RedisStore.prototype.acquire = function(lockKey, lockValue, expiry, fencingKey, holdsKey, callback) {
+  if (holdsKey) {
+    // redis lua script
+    var reentrantScript =
+      'local value = redis.call("get", KEYS[1])' + '\n' +
+      'if not value then' + '\n' +
+      '    redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])' + '\n' +
+      '    redis.call("set", KEYS[3], 1, "PX", ARGV[2])' + '\n' +
+      '    return redis.call("incr", KEYS[2])' + '\n' +
+      'elseif value == ARGV[1] then' + '\n' +
+      '    redis.call("incr", KEYS[3])' + '\n' +
+      '    for i = 1, 3, 2 do' + '\n' +
+      '        if redis.call("pttl", KEYS[i]) < tonumber(ARGV[2]) then' + '\n' +
+      '            redis.call("pexpire", KEYS[i], ARGV[2])' + '\n' +
+      '        end' + '\n' +
+      '    end' + '\n' +
+      '    return tonumber(redis.call("get", KEYS[2]) or 1)' + '\n' +
+      'else' + '\n' +
+      '    return 0' + '\n' +
+      'end';
+    return this.client.send_command('eval', [reentrantScript, 3, lockKey, fencingKey, holdsKey, lockValue, expiry],
+      callback);
+  }
+
+  // redis lua script
+  var script =
+    'if redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then' + '\n' +
+    '    return redis.call("incr", KEYS[2])' + '\n' +
+    'else' + '\n' +
+    '    return 0' + '\n' +
+    'end';
+  this.client.send_command('eval', [script, 2, lockKey, fencingKey, lockValue, expiry], callback);
+};
+
+/**
+ * Delete a lock key if the value is held, and publish release notification
+ * With holdsKey, hold count is decremented and only the last release deletes the key.
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {string} channel - channel of release notification
+ * @param {Function} callback - callback(err, result), result is 0 if the value is not held
+ */
+RedisStore.prototype.release = function(lockKey, lockValue, holdsKey, channel, callback) {
+  if (holdsKey) {
+    // redis lua script
+    var reentrantScript =
+      'if redis.call("get", KEYS[1]) ~= ARGV[1] then' + '\n' +
+      '    return 0' + '\n' +
+      'end' + '\n' +
+      'if redis.call("decr", KEYS[2]) > 0 then' + '\n' +
+      '    return 1' + '\n' +
+      'end' + '\n' +
+      'redis.call("del", KEYS[2])' + '\n' +
+      'redis.call("publish", ARGV[2], KEYS[1])' + '\n' +
+      'return redis.call("del", KEYS[1])';
+    return this.client.send_command('eval', [reentrantScript, 2, lockKey, holdsKey, lockValue, channel], callback);
+  }
+
+  // redis lua script
+  var script =
+    'if redis.call("get", KEYS[1]) == ARGV[1] then' + '\n' +
+    '    redis.call("publish", ARGV[2], KEYS[1])' + '\n' +
+    '    return redis.call("del", KEYS[1])' + '\n' +
+    'else' + '\n' +
+    '    return 0' + '\n' +
+    'end';
+  this.client.send_command('eval', [script, 1, lockKey, lockValue, channel], callback);
+};
+
+/**
+ * Set expiry of a lock key if the value is held
+ * @param {string} lockKey - key of lock
+ * @param {string} lockValue - value of lock
+ * @param {number} expiry - new expiry (msec)
+ * @param {string} holdsKey - key of hold count of reentrant lock, null if not reentrant
+ * @param {Function} callback - callback(err, result), result is 0 if the value is not held
+ */
+RedisStore.prototype.extend = function(lockKey, lockValue, expiry, holdsKey, callback) {
+  // redis lua script
+  var script =
+    'if redis.call("get", KEYS[1]) == ARGV[1] then' + '\n' +
+    '    if KEYS[2] then' + '\n' +
+    '        redis.call("pexpire", KEYS[2], ARGV[2])' + '\n' +
+    '    end' + '\n' +
+    '    return redis.call("pexpire", KEYS[1], ARGV[2])' + '\n' +
+    'else' + '\n' +
+    '    return 0' + '\n' +
+    'end';
+  var keys = holdsKey ? [lockKey, holdsKey] : [lockKey];
+  this.client.send_command('eval', [script, keys.length].concat(keys, [lockValue, expiry]), callback);
+};
+
+/**
+ * Raise fencing token to a token if it is lower
+ * @param {string} fencingKey - key of fencing token
+ * @param {number} token
+ * @param {Function} callback - callback(err, result)
+ */
+RedisStore.prototype.raiseToken = function(fencingKey, token, callback) {
+  // redis lua script
+  var script =
+    'if tonumber(redis.call("get", KEYS[1]) or 0) < tonumber(ARGV[1]) then' + '\n' +
+    '    redis.call("set", KEYS[1], ARGV[1])' + '\n' +
+    'end' + '\n' +
+    'return 1';
+  this.client.send_command('eval', [script, 1, fencingKey, token], callback);
+};
+
+/**
+ * Get value and remaining time of a lock key
+ * @param {string} lockKey - key of lock
+ * @param {Function} callback - callback(err, {value, pttl}), pttl is -2 if not exists
+ */
+RedisStore.prototype.inspect = function(lockKey, callback) {
+  // redis lua script
+  var script = 'return {redis.call("get", KEYS[1]), redis.call("pttl", KEYS[1])}';
+  this.client.send_command('eval', [script, 1, lockKey], function(err, result) {
+    if (err) {
+      return callback(err, null);
+    }
+    return callback(null, {
+      'value': result[0] || null,
+      'pttl': result[1]
+    });
+  });
+};
+
+/**
+ * Check that a raw command is supported by send_command
+ * Every command is sent to Redis.
+ * @return {boolean}
+ */
+RedisStore.prototype.hasCommand = function() {
+  return true;
+};
+
+/**
+ * Send a raw command to Redis
+ * @param {string} command - redis command
+ * @param {Array} args - arguments of command
+ * @param {Function} callback
+ */
+RedisStore.prototype.send_command = function(command, args, callback) {
+  this.client.send_command(command, args, callback);
+};
+
+/**
+ * Close connection of Redis
+ * @param {Function} callback - (not require)
+ */
+RedisStore.prototype.quit = function(callback) {
+  this.client.quit(callback);
+};
+
+module.exports = RedisStore;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Retry strategies of lock acquisition
+ */
+
+// const
+var STRATEGY_FIXED = 'fixed'; // interval
+var STRATEGY_EXPONENTIAL = 'exponential'; // interval * 2^(attempt - 1), up to maxInterval
+var STRATEGY_FULL_JITTER = 'fullJitter'; // random between 0 and exponential
+var STRATEGY_DECORRELATED_JITTER = 'decorrelatedJitter'; // random between interval and previous delay * 3, up to maxInterval
+var DECORRELATED_JITTER_FACTOR = 3;
+
+/**
+ * Get random integer
+ * @param {number} min
+ * @param {number} max
+ * @return {number} min ~ max
+ */
+function random(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Delays between attempts of an acquisition
+ * strategy is fixed, exponential, fullJitter, decorrelatedJitter
+ * or function(attempt, previousDelay) which returns delay (msec).
+ * @constructor
+ * @param {string|Function} strategy
+ * @param {number} interval - base delay (msec)
+ * @param {number} maxInterval - cap of delay (msec), not applied to fixed and function
+ */
+function RetryStrategy(strategy, interval, maxInterval) {
+  this.strategy = strategy || STRATEGY_FIXED;
+  this.interval = interval;
+  this.maxInterval = Math.max(maxInterval, interval);
+  this.attempt = 0;
+  this.previousDelay = interval;
+}
+
+/**
+ * Check a strategy
+ * @param {string|Function} strategy
+ * @return {boolean}
+ */
+RetryStrategy.isValid = function(strategy) {
+  return !strategy || typeof strategy === 'function' ||
+    [STRATEGY_FIXED, STRATEGY_EXPONENTIAL, STRATEGY_FULL_JITTER, STRATEGY_DECORRELATED_JITTER].indexOf(strategy) >= 0;
+};
+
+/**
+ * Get delay before the next attempt
+ * @return {number} msec
+ */
+RetryStrategy.prototype.next = function() {
+  this.attempt++;
+
+  var delay;
+  var exponential = Math.min(this.maxInterval, this.interval * Math.pow(2, this.attempt - 1));
+  if (typeof this.strategy === 'function') {
+    delay = this.strategy(this.attempt, this.previousDelay);
+  } else if (this.strategy === STRATEGY_EXPONENTIAL) {
+    delay = exponential;
+  } else if (this.strategy === STRATEGY_FULL_JITTER) {
+    delay = random(0, exponential);
+  } else if (this.strategy === STRATEGY_DECORRELATED_JITTER) {
+    delay = Math.min(this.maxInterval, random(this.interval, this.previousDelay * DECORRELATED_JITTER_FACTOR));
+  } else {
+    delay = this.interval;
+  }
+
+  this.previousDelay = Math.max(Number(delay) || 0, 0);
+  return this.previousDelay;
+};
+
+/**
+ * Get the longest delay of the strategy
+ * @return {number} msec
+ */
+RetryStrategy.prototype.getMaxDelay = function() {
+  if (this.strategy === STRATEGY_FIXED) {
+    return this.interval;
+  }
+  return this.maxInterval;
+};
+
+module.exports = RetryStrategy;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Consistent hashing ring of Redis
+ */
+
+var crypto = require('crypto');
+
+// const
+var DEFAULT_VNODES = 160; // points of a node whose weight is 1
+
+/**
+ * Get 32bit hash of a string
+ * @param {string} value
+ * @return {number} 0 ~ 2^32 - 1
+ */
+function hash(value) {
+  var digest = crypto.createHash('md5').update(String(value)).digest('hex');
+  return parseInt(digest.substring(0, 8), 16);
+}
+
+/**
+ * Consistent hashing ring
+ * A node has vnodes * weight points on the ring, a node whose weight is 0 has no point.
+ * @constructor
+ * @param {Array} nodes - [{id: 'id', weight: 1, index: storeIndex}, ...]
+ * @param {number} vnodes - points of a node whose weight is 1 (not require)
+ */
+function HashRing(nodes, vnodes) {
+  this.vnodes = vnodes || DEFAULT_VNODES;
+  this.points = [];
+
+  for (var i = 0; i < nodes.length; i++) {
+    var node = nodes[i];
+    var weight = node.weight === undefined ? 1 : node.weight;
+    var count = Math.round(this.vnodes * weight);
+    for (var j = 0; j < count; j++) {
+      this.points.push({
+        'hash': hash(node.id + '#' + j),
+        'index': node.index
+      });
+    }
+  }
+  this.points.sort(function(a, b) {
+    return a.hash - b.hash;
+  });
+}
+
+/**
+ * Get index of Redis which owns a key
+ * @param {string} key
+ * @return {number} index of Redis, -1 if the ring is empty
+ */
+HashRing.prototype.get = function(key) {
+  if (this.points.length <= 0) {
+    return -1;
+  }
+
+  // first point clockwise from hash of the key
+  var value = hash(key);
+  var low = 0;
+  var high = this.points.length;
+  while (low < high) {
+    var middle = (low + high) >>> 1;
+    if (this.points[middle].hash < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return this.points[low % this.points.length].index;
+};
+
+/**
+ * Hashing of versions before the ring (md5 % number of Redis)
+ * Used as the previous topology while a rolling upgrade from those versions.
+ * @constructor
+ * @param {Array} nodes - [{index: storeIndex}, ...] in order of Redis
+ */
+function ModuloRing(nodes) {
+  this.indexes = nodes.map(function(node) {
+    return node.index;
+  });
+}
+
+/**
+ * Get index of Redis which owns a key
+ * @param {string} key
+ * @return {number} index of Redis, -1 if there is no Redis
+ */
+ModuloRing.prototype.get = function(key) {
+  if (this.indexes.length <= 0) {
+    return -1;
+  }
+
+  var digest = crypto.createHash('md5').update(String(key)).digest('hex');
+  var value = parseInt(digest.substring(digest.length - 2), 16); // 0 ~ 255
+  return this.indexes[value % this.indexes.length];
+};
+
+module.exports = HashRing;
+module.exports.ModuloRing = ModuloRing;
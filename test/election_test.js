@@ -0,0 +1,122 @@
+var assert = require('assert');
+
+var mutex = require('../lib/mutex');
+
+var LEASE_MS = 200;
+
+describe('election', function() {
+  var createCandidate = function(store, host, callback) {
+    mutex.createMutex({
+      'interval': 20,
+      'valuePrefix': host + ':',
+      'redis': {
+        'stores': [store]
+      }
+    }, callback);
+  };
+
+  it('1つのインスタンスだけがleaderになり、stopで他のインスタンスに移ること', function(done) {
+    var store = new mutex.MemoryStore();
+    createCandidate(store, 'host-a', function(err, mutexA) {
+      assert.equal(err, null);
+      createCandidate(store, 'host-b', function(err, mutexB) {
+        assert.equal(err, null);
+
+        var revoked = [];
+        var electionA = mutexA.elect('scheduler', {
+          'leaseMs': LEASE_MS,
+          'onElected': function(token) {
+            assert.equal(token, 1);
+            var electionB = mutexB.elect('scheduler', {
+              'leaseMs': LEASE_MS,
+              'onElected': function(token) {
+                assert.equal(token, 2);
+                assert.deepEqual(revoked, ['stopped']);
+                assert.equal(electionA.isLeader(), false);
+                mutexB.currentLeader('scheduler', function(err, value) {
+                  assert.equal(err, null);
+                  assert.ok(value.indexOf('host-b:') === 0);
+                  electionB.stop(done);
+                });
+              }
+            });
+
+            mutexA.currentLeader('scheduler', function(err, value) {
+              assert.equal(err, null);
+              assert.ok(value.indexOf('host-a:') === 0);
+              assert.equal(electionB.isLeader(), false);
+              electionA.stop();
+            });
+          },
+          'onRevoked': function(reason) {
+            revoked.push(reason);
+          }
+        });
+      });
+    });
+  });
+
+  it('leaderの間はleaseが更新されること', function(done) {
+    createCandidate(new mutex.MemoryStore(), 'host-a', function(err, candidate) {
+      assert.equal(err, null);
+
+      var election = candidate.elect('renewed', {
+        'leaseMs': LEASE_MS,
+        'onElected': function() {
+          setTimeout(function() {
+            assert.equal(election.isLeader(), true);
+            candidate.currentLeader('renewed', function(err, value) {
+              assert.equal(err, null);
+              assert.notEqual(value, null);
+              election.stop(done);
+            });
+          }, LEASE_MS * 3);
+        },
+        'onRevoked': function(reason) {
+          assert.equal(reason, 'stopped');
+        }
+      });
+    });
+  });
+
+  it('storeがdownになるとすぐにleaderでなくなること', function(done) {
+    var store = new mutex.MemoryStore();
+    createCandidate(store, 'host-a', function(err, candidate) {
+      assert.equal(err, null);
+
+      var election = candidate.elect('down', {
+        'leaseMs': LEASE_MS,
+        'onElected': function() {
+          store.emit('end');
+        },
+        'onRevoked': function(reason) {
+          assert.equal(reason, 'down');
+          assert.equal(election.isLeader(), false);
+          election.stop(done);
+        }
+      });
+    });
+  });
+
+  it('closeでleaderを降りてlockを解放すること', function(done) {
+    createCandidate(new mutex.MemoryStore(), 'host-a', function(err, candidate) {
+      assert.equal(err, null);
+
+      var revoked = [];
+      candidate.elect('closed', {
+        'leaseMs': LEASE_MS,
+        'onElected': function() {
+          candidate.close(function(err) {
+            assert.equal(err, null);
+            assert.deepEqual(revoked, ['closed']);
+            assert.equal(candidate.heldLocks.length, 0);
+            done();
+          });
+        },
+        'onRevoked': function(reason) {
+          revoked.push(reason);
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+var assert = require('assert');
+
+var mutex = require('../lib/mutex');
+var HealthMonitor = require('../lib/health_monitor');
+
+describe('health monitor', function() {
+  it('PINGの応答でactiveになること', function(done) {
+    var reports = [];
+    var monitor = new HealthMonitor({ 'interval': 1000 }, function(storeIndex, callback) {
+      setImmediate(callback, null, 'PONG');
+    }, function(storeIndex, status) {
+      reports.push(status);
+      monitor.stop();
+      assert.deepEqual(reports, ['active']);
+      assert.equal(monitor.getHealth(0).failures, 0);
+      assert.equal(monitor.getHealth(0).latency.p50, monitor.getHealth(0).lastLatency);
+      done();
+    });
+    monitor.start(1);
+  });
+
+  it('percentileのlatencyがdegradedLatencyを超えるとdegradedになること', function(done) {
+    var monitor = new HealthMonitor({ 'interval': 1000, 'degradedLatency': 20 }, function(storeIndex, callback) {
+      setTimeout(callback, 50, null, 'PONG');
+    }, function(storeIndex, status) {
+      monitor.stop();
+      assert.equal(status, 'degraded');
+      assert.ok(monitor.getHealth(0).latency.p99 >= 50);
+      done();
+    });
+    monitor.start(1);
+  });
+
+  it('timeoutまで応答がないことがfailureThreshold回続くとdownになること', function(done) {
+    var monitor = new HealthMonitor({ 'interval': 10, 'timeout': 30 }, function() {
+      // no reply
+    }, function(storeIndex, status) {
+      monitor.stop();
+      assert.equal(status, 'down');
+      assert.equal(monitor.getHealth(0).failures, 3);
+      assert.equal(monitor.getHealth(0).lastLatency, null);
+      done();
+    });
+    monitor.start(1);
+  });
+
+  it('連続しない失敗ではdownにならないこと', function(done) {
+    var checks = 0;
+    var reports = [];
+    var monitor = new HealthMonitor({ 'interval': 10, 'timeout': 30, 'failureThreshold': 2 }, function(storeIndex, callback) {
+      // every other PING fails
+      if (++checks % 2 === 0) {
+        setImmediate(callback, null, 'PONG');
+      }
+    }, function(storeIndex, status) {
+      reports.push(status);
+      if (reports.length === 3) {
+        monitor.stop();
+        assert.deepEqual(reports, ['active', 'active', 'active']);
+        assert.equal(checks, 6);
+        done();
+      }
+    });
+    monitor.start(1);
+  });
+
+  it('監視していないstoreのhealthはnullであること', function() {
+    var monitor = new HealthMonitor(null, function() {}, function() {});
+    assert.equal(monitor.getHealth(0), null);
+  });
+
+  describe('getStoreHealth', function() {
+    var healthMutex = mutex.createMutex();
+    var store = new mutex.MemoryStore();
+    var statuses = [];
+
+    before(function(done) {
+      healthMutex.on('storeStatus', function(event) {
+        statuses.push(event.status);
+      });
+      healthMutex.setup({
+        'health': { 'interval': 20, 'timeout': 20, 'failureThreshold': 2 },
+        'redis': {
+          'stores': [store]
+        }
+      }, done);
+    });
+
+    after(function(done) {
+      healthMutex.close(done);
+    });
+
+    it('storeのstatusとlatencyを取得できること', function(done) {
+      setTimeout(function() {
+        var health = healthMutex.getStoreHealth();
+        assert.equal(health.length, 1);
+        assert.equal(health[0].storeIndex, 0);
+        assert.equal(health[0].status, 'active');
+        assert.equal(health[0].failures, 0);
+        assert.notEqual(health[0].latency.p99, null);
+        assert.ok(health[0].lastCheckedAt > 0);
+        done();
+      }, 50);
+    });
+
+    it('PINGに失敗したstoreはdownになり、ロックできないこと', function(done) {
+      store.connected = false;
+      setTimeout(function() {
+        assert.equal(healthMutex.getStoreHealth()[0].status, 'down');
+        assert.ok(healthMutex.getStoreHealth()[0].failures > 0);
+        assert.deepEqual(statuses, ['active', 'down']);
+
+        healthMutex.lock('testKeyHealth', { 'retry': 1 }, function(err) {
+          assert.notEqual(err, null);
+          store.connected = true;
+          done();
+        });
+      }, 50);
+    });
+  });
+
+  it('health optionがないとlatencyはnullであること', function(done) {
+    mutex.createMutex({
+      'redis': {
+        'stores': [new mutex.MemoryStore()]
+      }
+    }, function(err, created) {
+      assert.equal(err, null);
+      var health = created.getStoreHealth();
+      assert.equal(health[0].status, 'active');
+      assert.equal(health[0].latency, null);
+      assert.equal(health[0].failures, null);
+      done();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+var assert = require('assert');
+
+var mutex = require('../lib/mutex');
+var MemoryStore = require('../lib/memory_store');
+
+var EXPIRY = 200;
+
+describe('memory store', function() {
+  describe('MemoryStore', function() {
+    var store = new MemoryStore();
+
+    it('同じkeyは1つしかacquireできないこと', function(done) {
+      store.acquire('key1', 'value1', EXPIRY, 'key1:fencing', null, function(err, token) {
+        assert.equal(err, null);
+        assert.equal(token, 1);
+
+        store.acquire('key1', 'value2', EXPIRY, 'key1:fencing', null, function(err, token) {
+          assert.equal(err, null);
+          assert.equal(token, 0);
+          done();
+        });
+      });
+    });
+
+    it('expiryを過ぎたkeyはacquireできること', function(done) {
+      store.acquire('key2', 'value1', EXPIRY, 'key2:fencing', null, function(err, token) {
+        assert.equal(err, null);
+        assert.equal(token, 1);
+
+        setTimeout(function() {
+          store.acquire('key2', 'value2', EXPIRY, 'key2:fencing', null, function(err, token) {
+            assert.equal(err, null);
+            assert.equal(token, 2);
+            done();
+          });
+        }, EXPIRY + 50);
+      });
+    });
+
+    it('valueが一致する時だけreleaseできること', function(done) {
+      store.acquire('key3', 'value1', EXPIRY, 'key3:fencing', null, function(err) {
+        assert.equal(err, null);
+
+        store.release('key3', 'value2', null, 'key3:released', function(err, result) {
+          assert.equal(err, null);
+          assert.equal(result, 0);
+
+          store.once('message', function(channel) {
+            assert.equal(channel, 'key3:released');
+          });
+          store.release('key3', 'value1', null, 'key3:released', function(err, result) {
+            assert.equal(err, null);
+            assert.equal(result, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('extendで残り時間が延びること', function(done) {
+      store.acquire('key4', 'value1', EXPIRY, 'key4:fencing', null, function(err) {
+        assert.equal(err, null);
+
+        store.extend('key4', 'value1', EXPIRY * 10, null, function(err, result) {
+          assert.equal(err, null);
+          assert.equal(result, 1);
+
+          store.inspect('key4', function(err, info) {
+            assert.equal(err, null);
+            assert.equal(info.value, 'value1');
+            assert.ok(info.pttl > EXPIRY);
+            done();
+          });
+        });
+      });
+    });
+
+    it('同じvalueでacquireした回数だけreleaseするとkeyが消えること', function(done) {
+      store.acquire('key6', 'owner', EXPIRY, 'key6:fencing', 'key6:holds', function(err, token) {
+        assert.equal(err, null);
+        assert.equal(token, 1);
+
+        store.acquire('key6', 'owner', EXPIRY, 'key6:fencing', 'key6:holds', function(err, token) {
+          assert.equal(err, null);
+          assert.equal(token, 1);
+
+          store.release('key6', 'owner', 'key6:holds', 'key6:released', function(err, result) {
+            assert.equal(err, null);
+            assert.equal(result, 1);
+
+            store.inspect('key6', function(err, info) {
+              assert.equal(info.value, 'owner');
+
+              store.release('key6', 'owner', 'key6:holds', 'key6:released', function(err, result) {
+                assert.equal(err, null);
+                assert.equal(result, 1);
+
+                store.inspect('key6', function(err, info) {
+                  assert.equal(info.value, null);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('存在しないkeyのpttlは-2であること', function(done) {
+      store.inspect('key5', function(err, info) {
+        assert.equal(err, null);
+        assert.equal(info.value, null);
+        assert.equal(info.pttl, -2);
+        done();
+      });
+    });
+
+    it('未対応のコマンドはエラーになること', function(done) {
+      store.send_command('eval', ['return 1', 0], function(err) {
+        assert.ok(err);
+        done();
+      });
+    });
+  });
+
+  describe('Mutex', function() {
+    var store = new MemoryStore();
+    var memoryMutex = mutex.createMutex();
+
+    before(function(done) {
+      memoryMutex.setup({
+        'expiry': EXPIRY,
+        'redis': {
+          'stores': [store]
+        }
+      }, done);
+    });
+
+    it('Redisなしでlock,unlockできること', function(done) {
+      memoryMutex.lock('testKeyMemory', function(err, unlock) {
+        assert.equal(err, null);
+        assert.equal(unlock.token, 1);
+
+        memoryMutex.isLocked('testKeyMemory', function(err, locked) {
+          assert.equal(err, null);
+          assert.equal(locked, true);
+
+          unlock(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, false);
+            done();
+          });
+        });
+      });
+    });
+
+    it('unlockされるまで他のlockが待たされること', function(done) {
+      memoryMutex.lock('testKeyMemoryWait', function(err, unlock) {
+        assert.equal(err, null);
+
+        var startTime = Date.now();
+        memoryMutex.lock('testKeyMemoryWait', { 'interval': 1000 }, function(err, unlock2) {
+          assert.equal(err, null);
+          // woken up by release notification without waiting interval
+          assert.ok(Date.now() - startTime < 1000);
+          unlock2(done);
+        });
+        setTimeout(unlock, 50);
+      });
+    });
+
+    it('同じstoreを使う別のMutexとlockを共有すること', function(done) {
+      var otherMutex = mutex.createMutex({
+        'redis': {
+          'stores': [store]
+        }
+      }, function(err) {
+        assert.equal(err, null);
+
+        memoryMutex.lock('testKeyMemoryShared', function(err, unlock) {
+          assert.equal(err, null);
+
+          otherMutex.lock('testKeyMemoryShared', { 'retry': 1, 'interval': 10 }, function(err) {
+            assert.ok(err);
+            unlock(done);
+          });
+        });
+      });
+    });
+
+    it('expiryを過ぎるとleaseが失われること', function(done) {
+      memoryMutex.lock('testKeyMemoryLost', {
+        'onLost': function(err) {
+          assert.ok(err);
+
+          setTimeout(function() {
+            memoryMutex.isLocked('testKeyMemoryLost', function(err, locked) {
+              assert.equal(err, null);
+              assert.equal(locked, false);
+              done();
+            });
+          }, 10);
+        }
+      }, function(err) {
+        assert.equal(err, null);
+      });
+    });
+
+    it('raw commandが必要なprimitiveはエラーになること', function(done) {
+      memoryMutex.readLock('testKeyMemoryRaw', function(err, unlock) {
+        assert.ok(/readLock is not supported by the store\. : storeIndex = 0 command = eval/.test(err.message));
+        assert.equal(unlock, null);
+
+        memoryMutex.list(function(err) {
+          assert.ok(/list is not supported by the store/.test(err.message));
+
+          memoryMutex.latch('testKeyMemoryRaw', 1).countDown(function(err) {
+            assert.ok(/latch is not supported by the store/.test(err.message));
+            done();
+          });
+        });
+      });
+    });
+
+    it('store interfaceを実装していないstoreはsetupがエラーになること', function(done) {
+      var adapter = new MemoryStore();
+      adapter.extend = null;
+      mutex.createMutex({
+        'redis': {
+          'stores': [store, adapter]
+        }
+      }, function(err) {
+        assert.equal(err.message, 'option.redis.stores[1] does not implement extend.');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+var assert = require('assert');
+
+var mutex = require('../lib/mutex');
+var Metrics = require('../lib/metrics');
+
+var EXPIRY = 1000;
+
+describe('metrics', function() {
+  var eventMutex = mutex.createMutex();
+  var metrics = new Metrics(eventMutex);
+  var events = [];
+
+  before(function(done) {
+    ['acquired', 'contended', 'retry', 'timeout', 'released', 'alreadyUnlocked'].forEach(function(name) {
+      eventMutex.on(name, function(event) {
+        events.push({ 'name': name, 'event': event });
+      });
+    });
+    eventMutex.setup({
+      'expiry': EXPIRY,
+      'redis': {
+        'stores': [new mutex.MemoryStore()]
+      }
+    }, done);
+  });
+
+  beforeEach(function() {
+    events = [];
+  });
+
+  it('lockとunlockでacquired,releasedイベントが発生すること', function(done) {
+    eventMutex.lock('testKeyEvent', '1', function(err, unlock) {
+      assert.equal(err, null);
+
+      setTimeout(function() {
+        unlock(function(err) {
+          assert.equal(err, null);
+          assert.deepEqual(events.map(function(e) {
+            return e.name;
+          }), ['acquired', 'released']);
+          assert.equal(events[0].event.key, 'testKeyEvent');
+          assert.equal(events[0].event.lockKey, 'LOCKMAN#testKeyEvent-1');
+          assert.deepEqual(events[0].event.storeIndexes, [0]);
+          assert.equal(events[0].event.attempts, 1);
+          assert.ok(events[1].event.holdTime >= 40);
+          done();
+        });
+      }, 50);
+    });
+  });
+
+  it('lock中のkeyでcontended,retry,timeoutイベントが発生すること', function(done) {
+    eventMutex.lock('testKeyEventTimeout', function(err, unlock) {
+      assert.equal(err, null);
+
+      eventMutex.lock('testKeyEventTimeout', { 'retry': 2, 'interval': 10 }, function(err) {
+        assert.ok(err);
+        var names = events.map(function(e) {
+          return e.name;
+        });
+        assert.deepEqual(names, ['acquired', 'contended', 'retry', 'retry', 'timeout']);
+        assert.equal(events[4].event.attempts, 3);
+        unlock(done);
+      });
+    });
+  });
+
+  it('Prometheusのテキスト形式で出力できること', function() {
+    var text = metrics.render();
+    assert.ok(text.indexOf('# TYPE lockman_acquire_seconds histogram') >= 0);
+    assert.ok(text.indexOf('lockman_acquire_seconds_count{key="testKeyEvent"} 1') >= 0);
+    assert.ok(text.indexOf('lockman_hold_seconds_bucket{key="testKeyEvent",le="+Inf"} 1') >= 0);
+    assert.ok(text.indexOf('lockman_contended_total{key="testKeyEventTimeout"} 1') >= 0);
+    assert.ok(text.indexOf('lockman_failures_total{key="testKeyEventTimeout",reason="timeout"} 1') >= 0);
+  });
+});
@@ -12,6 +12,13 @@ var SENTINEL_CONF = {
   'masterName': 'master'
 };
 
+// independent Redis are emulated by db
+var createClientOfDb = function(db) {
+  var client = RedisSentinel.createClient(SENTINEL_CONF);
+  client.send_command('select', [db]);
+  return client;
+};
+
 before(function(done) {
   console.log('[describe]before test');
 
@@ -28,7 +35,8 @@ before(function(done) {
     'valueLength': 24,
     'redis': {
       // alternative is clients or sclients
-      'clients': [RedisSentinel.createClient(SENTINEL_CONF), RedisSentinel.createClient(SENTINEL_CONF)]
+      'clients': [RedisSentinel.createClient(SENTINEL_CONF), RedisSentinel.createClient(SENTINEL_CONF)],
+      'subscribers': [RedisSentinel.createClient(SENTINEL_CONF), RedisSentinel.createClient(SENTINEL_CONF)]
 //      'sclients': [SENTINEL_CONF, SENTINEL_CONF]
     }
   };
@@ -202,8 +210,9 @@ describe('mutex', function() {
 
     it('redisに異変があった場合、expiryの期間中はlockできないこと', function(done) {
       this.timeout(EXPIRY * 2);
-      mutex._setStoreStatus(0, 'down');
-      mutex._setStoreStatus(0, 'active');
+      var storeIndex = mutex._getStoreIndex(mutex._createLockKey('testkey'));
+      mutex._setStoreStatus(storeIndex, 'down');
+      mutex._setStoreStatus(storeIndex, 'active');
 
       mutex.lock('testkey', function(err, unlock) {
         assert.notEqual(err, null);
@@ -225,8 +234,9 @@ describe('mutex', function() {
 
     it('redisに異変があった場合、expiryの期間中はlockできないこと(特定のkeyのExpiryを長くした場合)', function(done) {
       this.timeout(EXPIRY_OF_KEY * 2);
-      mutex._setStoreStatus(0, 'down');
-      mutex._setStoreStatus(0, 'active');
+      var storeIndex = mutex._getStoreIndex(mutex._createLockKey('longExpiryKey'));
+      mutex._setStoreStatus(storeIndex, 'down');
+      mutex._setStoreStatus(storeIndex, 'active');
 
       mutex.lock('longExpiryKey', function(err, unlock) {
         assert.notEqual(err, null);
@@ -246,6 +256,78 @@ describe('mutex', function() {
       }, EXPIRY_OF_KEY + 100);
     });
 
+    it('Promiseでlock,unlockできること', function() {
+      return mutex.lock('testKeyPromise', 'testSubKey').then(function(unlock) {
+        return unlock();
+      }).then(function(alreadyUnlocked) {
+        assert.equal(alreadyUnlocked, false);
+      });
+    });
+
+    it('Promiseでlockできないこと（リトライ回数オーバー）', function() {
+      var opt = {
+        'retry': 3,
+        'interval': 10
+      };
+      return mutex.lock('testKeyPromise', opt).then(function(unlock1) {
+        return mutex.lock('testKeyPromise', opt).then(function() {
+          assert.fail('lock must be failed');
+        }, function(err) {
+          assert.notEqual(err, null);
+          return unlock1();
+        });
+      });
+    });
+
+    it('callbackなしのsetup,unlockが失敗してもunhandledRejectionにならないこと', function(done) {
+      var unhandled = [];
+      var logged = [];
+      var onUnhandled = function(err) {
+        unhandled.push(err);
+      };
+      var logger = {
+        debug: function() {},
+        info: function() {},
+        warn: function() {},
+        error: function(message) {
+          logged.push(message);
+        }
+      };
+      process.on('unhandledRejection', onUnhandled);
+
+      var invalidMutex = mutex.createMutex();
+      invalidMutex.logger = logger;
+      invalidMutex.setup({ 'redis': {} });
+
+      var store = new mutex.MemoryStore();
+      var storeMutex = mutex.createMutex();
+      storeMutex.setup({ 'logger': logger, 'redis': { 'stores': [store] } }, function(err) {
+        assert.equal(err, null);
+
+        storeMutex.lock('testKeyUnhandled', function(err, unlock) {
+          assert.equal(err, null);
+          store.quit();
+          unlock();
+
+          setTimeout(function() {
+            process.removeListener('unhandledRejection', onUnhandled);
+            assert.deepEqual(unhandled, []);
+            assert.equal(logged.filter(function(message) {
+              return /error without callback/.test(message);
+            }).length, 2);
+
+            // await still gets the rejection
+            invalidMutex.setup({ 'redis': {} }).then(function() {
+              done(new Error('setup must be failed'));
+            }, function(err) {
+              assert.ok(/option.redis is invalid/.test(err.message));
+              done();
+            });
+          }, 50);
+        });
+      });
+    });
+
 //    it('永遠とlock,unlockする。（障害時確認用）', function(done) {
 //      this.timeout(10000000);
 //      //キャッチされない例外処理を追加
@@ -283,4 +365,1709 @@ describe('mutex', function() {
 //    });
 
   });
+
+  describe('withLock', function() {
+    it('関数の実行後にunlockされること', function() {
+      return mutex.withLock('testKeyWithLock', '1', function(unlock) {
+        assert.equal(typeof unlock, 'function');
+        return 'result';
+      }).then(function(result) {
+        assert.equal(result, 'result');
+
+        // lock is released
+        return mutex.lock('testKeyWithLock', '1', { 'retry': 1, 'interval': 10 });
+      }).then(function(unlock) {
+        return unlock();
+      });
+    });
+
+    it('関数がrejectした場合もunlockされること', function() {
+      return mutex.withLock('testKeyWithLock', '2', { 'retry': 3, 'interval': 10 }, function() {
+        return Promise.reject(new Error('failure'));
+      }).then(function() {
+        assert.fail('withLock must be rejected');
+      }, function(err) {
+        assert.equal(err.message, 'failure');
+
+        // lock is released
+        return mutex.lock('testKeyWithLock', '2', { 'retry': 1, 'interval': 10 });
+      }).then(function(unlock) {
+        return unlock();
+      });
+    });
+
+    it('関数がthrowした場合もunlockされること', function() {
+      return mutex.withLock('testKeyWithLock', function() {
+        throw new Error('failure');
+      }).then(function() {
+        assert.fail('withLock must be rejected');
+      }, function(err) {
+        assert.equal(err.message, 'failure');
+
+        // lock is released
+        return mutex.lock('testKeyWithLock', { 'retry': 1, 'interval': 10 });
+      }).then(function(unlock) {
+        return unlock();
+      });
+    });
+  });
+
+  describe('extend', function() {
+    it('expiryを延長できること', function(done) {
+      this.timeout(EXPIRY * 3);
+      mutex.lock('testKeyExtend', function(err, unlock) {
+        assert.equal(err, null);
+
+        setTimeout(function() {
+          unlock.extend(EXPIRY, function(err, extended) {
+            assert.equal(err, null);
+            assert.equal(extended, true);
+
+            setTimeout(function() {
+              unlock(function(err, alreadyUnlocked) {
+                assert.equal(err, null);
+                assert.equal(alreadyUnlocked, false);
+
+                done();
+              });
+            }, EXPIRY / 2 + 100);
+          });
+        }, EXPIRY / 2 + 100);
+      });
+    });
+
+    it('expireしたlockは延長できないこと', function(done) {
+      this.timeout(EXPIRY * 2);
+      mutex.lock('testKeyExtend', function(err, unlock) {
+        assert.equal(err, null);
+
+        setTimeout(function() {
+          unlock.extend(function(err, extended) {
+            assert.equal(err, null);
+            assert.equal(extended, false);
+
+            done();
+          });
+        }, EXPIRY + 100);
+      });
+    });
+
+    it('autoRenewでunlockまでexpiryが延長されること', function(done) {
+      this.timeout(EXPIRY * 3);
+      mutex.lock('testKeyAutoRenew', { 'autoRenew': true }, function(err, unlock) {
+        assert.equal(err, null);
+
+        setTimeout(function() {
+          unlock(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, false);
+
+            done();
+          });
+        }, EXPIRY * 2);
+      });
+    });
+  });
+
+  describe('lost', function() {
+    it('expiryを過ぎるとonLostが呼ばれること', function(done) {
+      this.timeout(EXPIRY * 2);
+      var lockedTime = Date.now();
+      var opt = {
+        'onLost': function(err) {
+          assert.notEqual(err, null);
+          assert.ok(Date.now() - lockedTime <= EXPIRY + 100);
+          done();
+        }
+      };
+      mutex.lock('testKeyLost', opt, function(err, unlock) {
+        assert.equal(err, null);
+      });
+    });
+
+    it('unlockした場合はonLostが呼ばれないこと', function(done) {
+      this.timeout(EXPIRY * 2);
+      var opt = {
+        'onLost': function(err) {
+          assert.fail('onLost must not be called');
+        }
+      };
+      mutex.lock('testKeyLost', opt, function(err, unlock) {
+        assert.equal(err, null);
+
+        unlock(function(err) {
+          assert.equal(err, null);
+          setTimeout(done, EXPIRY + 100);
+        });
+      });
+    });
+
+    it('redisに異変があった場合、signalがabortされること', function(done) {
+      this.timeout(EXPIRY * 2);
+      var storeIndex = mutex._getStoreIndex(mutex._createLockKey('testKeyLost'));
+      mutex.lock('testKeyLost', function(err, unlock) {
+        assert.equal(err, null);
+        assert.equal(unlock.signal.aborted, false);
+
+        mutex._setStoreStatus(storeIndex, 'failover');
+        mutex._setStoreStatus(storeIndex, 'active');
+        assert.equal(unlock.signal.aborted, true);
+
+        unlock(function() {
+          // wait for blocking time
+          setTimeout(done, EXPIRY + 100);
+        });
+      });
+    });
+  });
+
+  describe('quorum', function() {
+    var quorumMutex = mutex.createMutex();
+
+    before(function(done) {
+      var option = {
+        'mode': 'quorum',
+        'expiry': EXPIRY,
+        'redis': {
+          'clients': [createClientOfDb(1), createClientOfDb(2), createClientOfDb(3)]
+        }
+      };
+      quorumMutex.setup(option, function(err) {
+        assert.equal(err, null);
+        setTimeout(done, 100);
+      });
+    });
+
+    it('過半数のredisでlock,unlockできること', function(done) {
+      quorumMutex.lock('testKeyQuorum', function(err, unlock) {
+        assert.equal(err, null);
+
+        unlock(function(err, alreadyUnlocked) {
+          assert.equal(err, null);
+          assert.equal(alreadyUnlocked, false);
+
+          done();
+        });
+      });
+    });
+
+    it('lockできないこと（リトライ回数オーバー）', function(done) {
+      var opt = {
+        'retry': 3,
+        'interval': 10
+      };
+      quorumMutex.lock('testKeyQuorum', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        quorumMutex.lock('testKeyQuorum', opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          unlock1(function() {
+            done();
+          });
+        });
+      });
+    });
+
+    it('redisに異変があった場合も過半数のredisでlockできること', function(done) {
+      this.timeout(EXPIRY * 2);
+      quorumMutex._setStoreStatus(0, 'down');
+      quorumMutex._setStoreStatus(0, 'active');
+
+      quorumMutex.lock('testKeyQuorum', function(err, unlock) {
+        assert.equal(err, null);
+
+        unlock(function(err, alreadyUnlocked) {
+          assert.equal(err, null);
+          assert.equal(alreadyUnlocked, false);
+
+          done();
+        });
+      });
+    });
+
+    it('quorumに届かない場合はエラーになったredisのkeyも解放されること', function(done) {
+      var stores = [new mutex.MemoryStore(), new mutex.MemoryStore(), new mutex.MemoryStore()];
+      mutex.createMutex({
+        'mode': 'quorum',
+        'retry': 0,
+        'redis': {
+          'stores': stores
+        }
+      }, function(err, quorumMutex) {
+        assert.equal(err, null);
+
+        var lockKey = 'LOCKMAN#testKeyQuorumRollback';
+        stores[0]._set(lockKey, 'busy', 10000);
+        // the key is set, but the reply is lost
+        var acquire = stores[2].acquire;
+        stores[2].acquire = function() {
+          var args = Array.prototype.slice.call(arguments);
+          var callback = args.pop();
+          acquire.apply(stores[2], args.concat(function() {
+            callback(new Error('timeout'), null);
+          }));
+        };
+
+        quorumMutex.lock('testKeyQuorumRollback', function(err, unlock) {
+          assert.equal(unlock, null);
+          assert.equal(stores[1]._get(lockKey), null);
+          assert.equal(stores[2]._get(lockKey), null);
+          quorumMutex.close(done);
+        });
+      });
+    });
+  });
+
+  describe('readLock, writeLock', function() {
+    var opt = {
+      'retry': 3,
+      'interval': 10
+    };
+
+    it('複数のreadLockを同時に取得できること', function(done) {
+      mutex.readLock('testKeyRW', '1', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.readLock('testKeyRW', '1', opt, function(err, unlock2) {
+          assert.equal(err, null);
+
+          unlock1(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, false);
+
+            unlock2(function(err, alreadyUnlocked) {
+              assert.equal(err, null);
+              assert.equal(alreadyUnlocked, false);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('readLock中はwriteLockできないこと', function(done) {
+      mutex.readLock('testKeyRW', '2', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.writeLock('testKeyRW', '2', opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          unlock1(function() {
+            mutex.writeLock('testKeyRW', '2', opt, function(err, unlock3) {
+              assert.equal(err, null);
+
+              unlock3(function(err, alreadyUnlocked) {
+                assert.equal(err, null);
+                assert.equal(alreadyUnlocked, false);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('writeLock中はreadLock,writeLockできないこと', function(done) {
+      mutex.writeLock('testKeyRW', '3', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.readLock('testKeyRW', '3', opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          mutex.writeLock('testKeyRW', '3', opt, function(err, unlock3) {
+            assert.notEqual(err, null);
+            assert.equal(unlock3, null);
+
+            unlock1(function() {
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('writeLockを待っている間は新しいreadLockができないこと', function(done) {
+      mutex.readLock('testKeyRW', '4', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        // writer waits for reader
+        mutex.writeLock('testKeyRW', '4', { 'interval': 10 }, function(err, unlock3) {
+          assert.equal(err, null);
+          unlock3(function() {
+            done();
+          });
+        });
+
+        setTimeout(function() {
+          mutex.readLock('testKeyRW', '4', opt, function(err, unlock2) {
+            assert.notEqual(err, null);
+            assert.equal(unlock2, null);
+
+            unlock1();
+          });
+        }, 15);
+      });
+    });
+
+    it('expireしたreadLockはwriteLockを妨げないこと', function(done) {
+      this.timeout(EXPIRY * 2);
+      mutex.readLock('testKeyRW', '5', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        setTimeout(function() {
+          mutex.writeLock('testKeyRW', '5', opt, function(err, unlock2) {
+            assert.equal(err, null);
+
+            unlock1(function(err, alreadyUnlocked) {
+              assert.equal(err, null);
+              assert.equal(alreadyUnlocked, true);
+
+              unlock2(function() {
+                done();
+              });
+            });
+          });
+        }, EXPIRY + 100);
+      });
+    });
+  });
+
+  describe('semaphore', function() {
+    var opt = {
+      'retry': 3,
+      'interval': 10
+    };
+
+    it('permitsの数までacquireできること', function(done) {
+      mutex.semaphore('testKeySemaphore1', 2, opt, function(err, release1) {
+        assert.equal(err, null);
+
+        mutex.semaphore('testKeySemaphore1', 2, opt, function(err, release2) {
+          assert.equal(err, null);
+
+          mutex.semaphore('testKeySemaphore1', 2, opt, function(err, release3) {
+            assert.notEqual(err, null);
+            assert.equal(release3, null);
+
+            release1(function(err, alreadyUnlocked) {
+              assert.equal(err, null);
+              assert.equal(alreadyUnlocked, false);
+
+              mutex.semaphore('testKeySemaphore1', 2, opt, function(err, release4) {
+                assert.equal(err, null);
+
+                release2(function() {
+                  release4(function() {
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('expireしたholderは数えられないこと', function(done) {
+      this.timeout(EXPIRY * 2);
+      mutex.semaphore('testKeySemaphore2', 1, opt, function(err, release1) {
+        assert.equal(err, null);
+
+        setTimeout(function() {
+          mutex.semaphore('testKeySemaphore2', 1, opt, function(err, release2) {
+            assert.equal(err, null);
+
+            release1(function(err, alreadyUnlocked) {
+              assert.equal(err, null);
+              assert.equal(alreadyUnlocked, true);
+
+              release2(function() {
+                done();
+              });
+            });
+          });
+        }, EXPIRY + 100);
+      });
+    });
+
+    it('clientの時計が進んでいてもholderが数えられること', function(done) {
+      var store = mutex.stores[mutex._getStoreIndex(mutex._createLockKey('testKeySemaphore4') + ':semaphore')];
+      mutex.semaphore('testKeySemaphore4', 1, opt, function(err, release1) {
+        assert.equal(err, null);
+
+        var sendCommand = store.send_command;
+        var now = Date.now;
+        Date.now = function() {
+          return now() + 60000;
+        };
+        // Redis has the right clock
+        store.send_command = function() {
+          Date.now = now;
+          store.send_command = sendCommand;
+          return sendCommand.apply(store, arguments);
+        };
+        mutex.semaphore('testKeySemaphore4', 1, { 'retry': 0 }, function(err, release2) {
+          assert.notEqual(err, null);
+          assert.equal(release2, null);
+
+          release1(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, false);
+            done();
+          });
+        });
+      });
+    });
+
+    it('permitsが不正な場合はエラーになること', function() {
+      return mutex.semaphore('testKeySemaphore3', 0).then(function() {
+        assert.fail('semaphore must be rejected');
+      }, function(err) {
+        assert.notEqual(err, null);
+      });
+    });
+  });
+
+  describe('release notification', function() {
+    it('unlockされるとintervalを待たずにlockできること', function(done) {
+      var interval = 5000;
+      mutex.lock('testKeyNotification', function(err, unlock1) {
+        assert.equal(err, null);
+
+        var unlockedTime = Date.now() + 100;
+        setTimeout(unlock1, 100);
+
+        mutex.lock('testKeyNotification', { 'interval': interval }, function(err, unlock2) {
+          assert.equal(err, null);
+          assert.ok(Date.now() - unlockedTime < interval);
+
+          unlock2(function() {
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('fair', function() {
+    it('待ち始めた順にlockできること', function(done) {
+      var order = [];
+      mutex.lock('testKeyFair', { 'fair': true }, function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.lock('testKeyFair', { 'fair': true, 'interval': 50 }, function(err, unlock2) {
+          assert.equal(err, null);
+          order.push(2);
+          unlock2();
+        });
+        setTimeout(function() {
+          mutex.lock('testKeyFair', { 'fair': true, 'interval': 5 }, function(err, unlock3) {
+            assert.equal(err, null);
+            order.push(3);
+            assert.deepEqual(order, [2, 3]);
+            unlock3(function() {
+              done();
+            });
+          });
+        }, 30);
+        setTimeout(unlock1, 100);
+      });
+    });
+
+    it('リトライ回数オーバーした待ちはキューから外れること', function(done) {
+      var opt = {
+        'fair': true,
+        'retry': 3,
+        'interval': 10
+      };
+      mutex.lock('testKeyFair', opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.lock('testKeyFair', opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          unlock1(function() {
+            mutex.lock('testKeyFair', opt, function(err, unlock3) {
+              assert.equal(err, null);
+              unlock3(function() {
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('lockMany', function() {
+    var opt = {
+      'retry': 3,
+      'interval': 10
+    };
+
+    it('複数のkeyをまとめてlock,unlockできること', function(done) {
+      var targets = [
+        { 'key': 'testKeyMany', 'subKey': '2' },
+        { 'key': 'testKeyMany', 'subKey': '1' },
+        { 'key': 'testKeyMany', 'subKey': ['3', '4'] }
+      ];
+      mutex.lockMany(targets, opt, function(err, unlock) {
+        assert.equal(err, null);
+
+        mutex.lock('testKeyMany', '1', opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          unlock(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, false);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('一部のkeyがlockできない場合は全てのlockが戻されること', function(done) {
+      mutex.lock('testKeyMany', '6', function(err, unlock1) {
+        assert.equal(err, null);
+
+        var targets = [
+          { 'key': 'testKeyMany', 'subKey': '5' },
+          { 'key': 'testKeyMany', 'subKey': '6' }
+        ];
+        mutex.lockMany(targets, opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          mutex.lock('testKeyMany', '5', opt, function(err, unlock3) {
+            assert.equal(err, null);
+
+            unlock3(function() {
+              unlock1(function() {
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('fencing token', function() {
+    it('lockするたびにtokenが増えること', function(done) {
+      mutex.lock('testKeyFencing', function(err, unlock1) {
+        assert.equal(err, null);
+        assert.ok(unlock1.token > 0);
+
+        mutex.getFencingToken('testKeyFencing', function(err, token) {
+          assert.equal(err, null);
+          assert.equal(token, unlock1.token);
+
+          unlock1(function() {
+            mutex.lock('testKeyFencing', function(err, unlock2) {
+              assert.equal(err, null);
+              assert.ok(unlock2.token > unlock1.token);
+
+              unlock2(function() {
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('lockされたことがないkeyのtokenは0であること', function() {
+      return mutex.getFencingToken('testKeyFencingNever', 'x').then(function(token) {
+        assert.equal(token, 0);
+      });
+    });
+
+    it('quorumモードで過半数が入れ替わってもtokenが増えること', function(done) {
+      var stores = [new mutex.MemoryStore(), new mutex.MemoryStore(), new mutex.MemoryStore()];
+      mutex.createMutex({
+        'mode': 'quorum',
+        'retry': 0,
+        'redis': {
+          'stores': stores
+        }
+      }, function(err, quorumMutex) {
+        assert.equal(err, null);
+
+        var tokens = [];
+        var lockOnce = function(round) {
+          if (round === stores.length) {
+            assert.deepEqual(tokens, [1, 2, 3]);
+            return quorumMutex.close(done);
+          }
+          // a different Redis is busy in every round
+          stores[round]._set('LOCKMAN#testKeyQuorumFencing', 'busy', 10000);
+          quorumMutex.lock('testKeyQuorumFencing', function(err, unlock) {
+            assert.equal(err, null);
+            tokens.push(unlock.token);
+            unlock(function(err) {
+              assert.equal(err, null);
+              delete stores[round].entries['LOCKMAN#testKeyQuorumFencing'];
+              lockOnce(round + 1);
+            });
+          });
+        };
+        lockOnce(0);
+      });
+    });
+  });
+
+  describe('migration', function() {
+    var oldMutex = mutex.createMutex();
+    var newMutex = mutex.createMutex();
+    var opt = {
+      'retry': 3,
+      'interval': 10
+    };
+
+    before(function(done) {
+      var oldOption = {
+        'redis': {
+          'clients': [createClientOfDb(4)]
+        }
+      };
+      var newOption = {
+        'redis': {
+          'clients': [createClientOfDb(4), createClientOfDb(5)],
+          'previousNodes': [{ 'id': 'Redis_0' }]
+        }
+      };
+      oldMutex.setup(oldOption, function(err) {
+        assert.equal(err, null);
+        newMutex.setup(newOption, function(err) {
+          assert.equal(err, null);
+          setTimeout(done, 100);
+        });
+      });
+    });
+
+    it('移行中は古いredisと新しいredisの両方でlockされること', function(done) {
+      // key which moves to new Redis
+      var key = 'testKeyMigration';
+      for (var i = 0; newMutex._getStoreIndex(newMutex._createLockKey(key + i)) !== 1; i++) {}
+      key = key + i;
+
+      oldMutex.lock(key, opt, function(err, unlock1) {
+        assert.equal(err, null);
+
+        newMutex.lock(key, opt, function(err, unlock2) {
+          assert.notEqual(err, null);
+          assert.equal(unlock2, null);
+
+          unlock1(function() {
+            newMutex.lock(key, opt, function(err, unlock3) {
+              assert.equal(err, null);
+
+              oldMutex.lock(key, opt, function(err, unlock4) {
+                assert.notEqual(err, null);
+                assert.equal(unlock4, null);
+
+                unlock3(function(err, alreadyUnlocked) {
+                  assert.equal(err, null);
+                  assert.equal(alreadyUnlocked, false);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('previousNodesがmoduloの場合はringより前のversionのredisでもlockされること', function(done) {
+      var stores = [new mutex.MemoryStore(), new mutex.MemoryStore()];
+      mutex.createMutex({
+        'redis': {
+          'stores': stores,
+          'previousNodes': 'modulo'
+        }
+      }, function(err, upgradedMutex) {
+        assert.equal(err, null);
+
+        // key which moves by the ring
+        var key = 'testKeyModulo';
+        for (var i = 0; upgradedMutex._getStoreIndexes(upgradedMutex._createLockKey(key + i)).length < 2; i++) {}
+        key = key + i;
+        var lockKey = upgradedMutex._createLockKey(key);
+
+        upgradedMutex.lock(key, function(err, unlock) {
+          assert.equal(err, null);
+          assert.notEqual(stores[0]._get(lockKey), null);
+          assert.notEqual(stores[1]._get(lockKey), null);
+
+          unlock(function(err) {
+            assert.equal(err, null);
+            upgradedMutex.close(done);
+          });
+        });
+      });
+    });
+
+    it('移行が終わってもtokenが減らないこと', function(done) {
+      var stores = [new mutex.MemoryStore(), new mutex.MemoryStore()];
+      mutex.createMutex({
+        'redis': {
+          'stores': stores,
+          'previousNodes': 'modulo'
+        }
+      }, function(err, upgradedMutex) {
+        assert.equal(err, null);
+
+        var key = 'testKeyMigrationFencing';
+        for (var i = 0; upgradedMutex._getStoreIndexes(upgradedMutex._createLockKey(key + i)).length < 2; i++) {}
+        key = key + i;
+        var lockKey = upgradedMutex._createLockKey(key);
+
+        // counter of the previous Redis is ahead
+        var previousIndex = 1 - upgradedMutex._getStoreIndex(lockKey);
+        stores[previousIndex].raiseToken(lockKey + ':fencing', 10);
+
+        upgradedMutex.lock(key, function(err, unlock) {
+          assert.equal(err, null);
+          assert.equal(unlock.token, 11);
+
+          unlock(function(err) {
+            assert.equal(err, null);
+            upgradedMutex.close(function() {
+              mutex.createMutex({ 'redis': { 'stores': stores } }, function(err, migratedMutex) {
+                assert.equal(err, null);
+
+                migratedMutex.lock(key, function(err, unlock) {
+                  assert.equal(err, null);
+                  assert.equal(unlock.token, 12);
+                  unlock(function() {
+                    migratedMutex.close(done);
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('single store primitives', function() {
+    var quorumMutex = null;
+    var migrationMutex = null;
+
+    before(function(done) {
+      mutex.createMutex({
+        'mode': 'quorum',
+        'redis': { 'stores': [new mutex.MemoryStore(), new mutex.MemoryStore(), new mutex.MemoryStore()] }
+      }, function(err, created) {
+        assert.equal(err, null);
+        quorumMutex = created;
+
+        mutex.createMutex({
+          'redis': {
+            'stores': [new mutex.MemoryStore(), new mutex.MemoryStore()],
+            'previousNodes': [{ 'id': 'Redis_0' }]
+          }
+        }, function(err, created) {
+          assert.equal(err, null);
+          migrationMutex = created;
+          done();
+        });
+      });
+    });
+
+    after(function(done) {
+      quorumMutex.close(function() {
+        migrationMutex.close(done);
+      });
+    });
+
+    // callback(err, result) of each primitive
+    var primitives = {
+      'readLock': function(target, callback) {
+        target.readLock('testKeySingleStore', callback);
+      },
+      'writeLock': function(target, callback) {
+        target.writeLock('testKeySingleStore', callback);
+      },
+      'semaphore': function(target, callback) {
+        target.semaphore('testKeySingleStore', 2, callback);
+      },
+      'lockMany': function(target, callback) {
+        target.lockMany([{ 'key': 'testKeySingleStore', 'subKey': '1' }], callback);
+      },
+      'option.fair': function(target, callback) {
+        target.lock('testKeySingleStore', { 'fair': true }, callback);
+      },
+      'barrier': function(target, callback) {
+        target.barrier('testKeySingleStore', 2, function(err) {
+          callback(err, null);
+        });
+      },
+      'latch': function(target, callback) {
+        target.latch('testKeySingleStore', 2).countDown(callback);
+      }
+    };
+
+    Object.keys(primitives).forEach(function(method) {
+      it(method + 'はquorumモードと移行中はエラーになること', function(done) {
+        primitives[method](quorumMutex, function(err, result) {
+          assert.ok(/quorum mode/.test(err.message));
+          assert.equal(result, null);
+
+          primitives[method](migrationMutex, function(err, result) {
+            assert.ok(/migration/.test(err.message));
+            assert.equal(result, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('inspect', function() {
+    it('lock中はisLockedがtrueになること', function(done) {
+      mutex.lock('testKeyInspect', '1', function(err, unlock) {
+        assert.equal(err, null);
+
+        mutex.isLocked('testKeyInspect', '1', function(err, locked) {
+          assert.equal(err, null);
+          assert.equal(locked, true);
+
+          unlock(function() {
+            mutex.isLocked('testKeyInspect', '1', function(err, locked) {
+              assert.equal(err, null);
+              assert.equal(locked, false);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('holderの値と残り時間を取得できること', function(done) {
+      mutex.lock('testKeyInspect', '2', function(err, unlock) {
+        assert.equal(err, null);
+
+        mutex.inspect('testKeyInspect', '2', function(err, info) {
+          assert.equal(err, null);
+          assert.equal(info.locked, true);
+          assert.equal(info.lockKey, 'KPREFIX#testKeyInspect-2');
+          assert.equal(info.value.indexOf('VPREFIX#'), 0);
+          assert.ok(info.pttl > 0 && info.pttl <= EXPIRY);
+          assert.equal(info.storeIndex, mutex._getStoreIndex(info.lockKey));
+          assert.equal(info.storeStatus, 'active');
+
+          unlock(function() {
+            done();
+          });
+        });
+      });
+    });
+
+    it('lock中のkeyを一覧できること', function(done) {
+      mutex.lock('testKeyList', '1', function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.lock('testKeyList', '2', function(err, unlock2) {
+          assert.equal(err, null);
+
+          mutex.list('testKeyList-*', function(err, locks) {
+            assert.equal(err, null);
+            // stores of this test may be the same Redis
+            var keys = locks.map(function(lock) {
+              return lock.key;
+            }).filter(function(key, i, keys) {
+              return keys.indexOf(key) === i;
+            }).sort();
+            assert.deepEqual(keys, ['testKeyList-1', 'testKeyList-2']);
+            assert.ok(locks[0].pttl > 0);
+
+            unlock1(function() {
+              unlock2(function() {
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('writeLockはkeyで一覧され、pendingの印は一覧されないこと', function(done) {
+      mutex.writeLock('testKeyListRW', '1', function(err, unlock) {
+        assert.equal(err, null);
+
+        var pendingKey = mutex._createLockKey('testKeyListRW', '2') + ':pending';
+        var storeIndex = mutex._getStoreIndex(pendingKey);
+        mutex.stores[storeIndex].send_command('set', [pendingKey, '1', 'PX', EXPIRY], function(err) {
+          assert.equal(err, null);
+
+          mutex.list('testKeyListRW-*', function(err, locks) {
+            assert.equal(err, null);
+            var keys = locks.map(function(lock) {
+              return lock.key;
+            }).filter(function(key, i, keys) {
+              return keys.indexOf(key) === i;
+            });
+            assert.deepEqual(keys, ['testKeyListRW-1']);
+
+            unlock(function() {
+              done();
+            });
+          });
+        });
+      });
+    });
+  
+  });
+
+  describe('forceUnlock, takeover', function() {
+    it('holderに関係なくunlockできること', function(done) {
+      mutex.lock('testKeyAdmin', '1', function(err, unlock) {
+        assert.equal(err, null);
+
+        mutex.forceUnlock('testKeyAdmin', '1', { 'reason': 'holder is dead' }, function(err, previousValue) {
+          assert.equal(err, null);
+          assert.notEqual(previousValue, null);
+
+          unlock(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, true);
+
+            mutex.getAuditLog('testKeyAdmin', '1', function(err, entries) {
+              assert.equal(err, null);
+              assert.equal(entries[0].action, 'forceUnlock');
+              assert.equal(entries[0].reason, 'holder is dead');
+              assert.equal(entries[0].previousValue, previousValue);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('holderからlockを引き継げること', function(done) {
+      mutex.lock('testKeyAdmin', '2', function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.takeover('testKeyAdmin', '2', { 'reason': 'holder is dead', 'by': 'admin' }, function(err, unlock2) {
+          assert.equal(err, null);
+          assert.notEqual(unlock2.previousValue, null);
+          assert.ok(unlock2.token > unlock1.token);
+
+          unlock1(function(err, alreadyUnlocked) {
+            assert.equal(err, null);
+            assert.equal(alreadyUnlocked, true);
+
+            mutex.getAuditLog('testKeyAdmin', '2', function(err, entries) {
+              assert.equal(err, null);
+              assert.equal(entries[0].action, 'takeover');
+              assert.equal(entries[0].by, 'admin');
+              assert.equal(entries[0].previousValue, unlock2.previousValue);
+
+              unlock2(function(err, alreadyUnlocked) {
+                assert.equal(err, null);
+                assert.equal(alreadyUnlocked, false);
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+
+  describe('createMutex', function() {
+    var otherMutex;
+
+    before(function(done) {
+      var option = {
+        'keyPrefix': 'otherLock:',
+        'redis': {
+          'clients': [createClientOfDb(6)]
+        }
+      };
+      otherMutex = mutex.createMutex(option, function(err, created) {
+        assert.equal(err, null);
+        assert.ok(created instanceof mutex.Mutex);
+        setTimeout(done, 100);
+      });
+    });
+
+    it('デフォルトのMutexと設定を共有しないこと', function() {
+      assert.ok(otherMutex instanceof mutex.Mutex);
+      assert.equal(otherMutex.option.keyPrefix, 'otherLock:');
+      assert.notEqual(mutex.option.keyPrefix, 'otherLock:');
+      assert.equal(otherMutex.stores.length, 1);
+      assert.notEqual(otherMutex.stores[0], mutex.stores[0]);
+    });
+
+    it('別のMutexで同じkeyをlockできること', function(done) {
+      mutex.lock('testKeyCreateMutex', function(err, unlock) {
+        assert.equal(err, null);
+
+        otherMutex.lock('testKeyCreateMutex', { 'retry': 1 }, function(err, otherUnlock) {
+          assert.equal(err, null);
+
+          otherUnlock(function(err) {
+            assert.equal(err, null);
+            unlock(done);
+          });
+        });
+      });
+    });
+
+    it('setupを2回呼ぶとエラーになること', function(done) {
+      otherMutex.setup({ 'redis': { 'clients': [createClientOfDb(7)] } }, function(err) {
+        assert.ok(err);
+        assert.equal(otherMutex.stores.length, 1);
+        assert.equal(otherMutex.option.redis.clients.length, 1);
+        done();
+      });
+    });
+  });
+
+
+  describe('close', function() {
+    var store = new mutex.MemoryStore();
+    var closingMutex = mutex.createMutex();
+
+    before(function(done) {
+      closingMutex.setup({ 'redis': { 'stores': [store] } }, done);
+    });
+
+    it('待機中のlockをキャンセルし、保持中のlockを解放すること', function(done) {
+      closingMutex.lock('testKeyClose', function(err, unlock) {
+        assert.equal(err, null);
+
+        closingMutex.lock('testKeyClose', function(err, unlock2) {
+          assert.ok(err);
+          assert.equal(unlock2, null);
+        });
+
+        setTimeout(function() {
+          closingMutex.close({ 'releaseHeld': true, 'timeout': 1000 }, function(err) {
+            assert.equal(err, null);
+            assert.equal(closingMutex.heldLocks.length, 0);
+            assert.equal(closingMutex.waiters.length, 0);
+
+            store.inspect('LOCKMAN#testKeyClose', function(err, info) {
+              assert.equal(err, null);
+              assert.equal(info.value, null);
+
+              // outer store is not closed
+              assert.equal(store.connected, true);
+              unlock(function(err, alreadyUnlocked) {
+                assert.equal(err, null);
+                assert.equal(alreadyUnlocked, true);
+                done();
+              });
+            });
+          });
+        }, 50);
+      });
+    });
+
+    it('close後はlockできないこと', function(done) {
+      closingMutex.lock('testKeyClose2', function(err) {
+        assert.ok(err);
+        done();
+      });
+    });
+  });
+
+
+  describe('acquireTimeout', function() {
+    var timeoutMutex = mutex.createMutex();
+
+    before(function(done) {
+      timeoutMutex.setup({
+        'retryStrategy': 'exponential',
+        'interval': 20,
+        'maxInterval': 100,
+        'redis': { 'stores': [new mutex.MemoryStore()] }
+      }, done);
+    });
+
+    it('acquireTimeoutを過ぎるとエラーになること', function(done) {
+      timeoutMutex.lock('testKeyAcquireTimeout', function(err, unlock) {
+        assert.equal(err, null);
+
+        var startTime = Date.now();
+        timeoutMutex.lock('testKeyAcquireTimeout', { 'acquireTimeout': 300 }, function(err) {
+          var elapsed = Date.now() - startTime;
+          assert.ok(err);
+          assert.ok(/elapsed = \d+ attempts = \d+/.test(err.message));
+          assert.ok(elapsed >= 300 && elapsed < 500);
+          unlock(done);
+        });
+      });
+    });
+
+    it('未知のretryStrategyはsetupでエラーになること', function(done) {
+      mutex.createMutex({
+        'retryStrategy': 'linear',
+        'redis': { 'stores': [new mutex.MemoryStore()] }
+      }, function(err) {
+        assert.ok(err);
+        done();
+      });
+    });
+  });
+
+
+  describe('signal', function() {
+    var abortMutex = mutex.createMutex();
+
+    before(function(done) {
+      abortMutex.setup({ 'redis': { 'stores': [new mutex.MemoryStore()] } }, done);
+    });
+
+    it('abortすると待機中のlockがAbortErrorになること', function(done) {
+      abortMutex.lock('testKeyAbort', function(err, unlock) {
+        assert.equal(err, null);
+
+        var controller = new AbortController();
+        abortMutex.lock('testKeyAbort', { 'signal': controller.signal }, function(err, unlock2) {
+          assert.equal(err.name, 'AbortError');
+          assert.equal(unlock2, null);
+          assert.equal(abortMutex.waiters.length, 0);
+          unlock(done);
+        });
+        setTimeout(function() {
+          controller.abort();
+        }, 250);
+      });
+    });
+
+    it('abort済みのsignalではlockしないこと', function(done) {
+      var controller = new AbortController();
+      controller.abort();
+      abortMutex.lock('testKeyAbort2', { 'signal': controller.signal }, function(err) {
+        assert.equal(err.name, 'AbortError');
+
+        abortMutex.isLocked('testKeyAbort2', function(err, locked) {
+          assert.equal(err, null);
+          assert.equal(locked, false);
+          done();
+        });
+      });
+    });
+
+    it('abortと同時に取得したlockは解放されること', function(done) {
+      var controller = new AbortController();
+      abortMutex.lock('testKeyAbort3', { 'signal': controller.signal }, function(err) {
+        assert.equal(err.name, 'AbortError');
+
+        setTimeout(function() {
+          abortMutex.isLocked('testKeyAbort3', function(err, locked) {
+            assert.equal(err, null);
+            assert.equal(locked, false);
+            done();
+          });
+        }, 50);
+      });
+      // the first attempt is in flight
+      controller.abort();
+    });
+  });
+
+
+  describe('reentrant', function() {
+    it('同じownerは同じkeyを再取得でき、最後のunlockで解放されること', function(done) {
+      mutex.lock('testKeyReentrant', { 'owner': 'request-1' }, function(err, unlock1) {
+        assert.equal(err, null);
+
+        mutex.lock('testKeyReentrant', { 'owner': 'request-1', 'retry': 1 }, function(err, unlock2) {
+          assert.equal(err, null);
+          assert.equal(unlock2.token, unlock1.token);
+
+          mutex.lock('testKeyReentrant', { 'owner': 'request-2', 'retry': 1 }, function(err) {
+            assert.ok(err);
+
+            unlock2(function(err, alreadyUnlocked) {
+              assert.equal(err, null);
+              assert.equal(alreadyUnlocked, false);
+
+              mutex.isLocked('testKeyReentrant', function(err, locked) {
+                assert.equal(err, null);
+                assert.equal(locked, true);
+
+                unlock1(function(err, alreadyUnlocked) {
+                  assert.equal(err, null);
+                  assert.equal(alreadyUnlocked, false);
+
+                  mutex.isLocked('testKeyReentrant', function(err, locked) {
+                    assert.equal(err, null);
+                    assert.equal(locked, false);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('runAsOwnerの中のlockは再取得できること', function(done) {
+      mutex.runAsOwner('request-3', function() {
+        mutex.lock('testKeyReentrantContext', function(err, unlock1) {
+          assert.equal(err, null);
+
+          setTimeout(function() {
+            mutex.lock('testKeyReentrantContext', { 'retry': 1 }, function(err, unlock2) {
+              assert.equal(err, null);
+
+              unlock2(function(err) {
+                assert.equal(err, null);
+                unlock1(done);
+              });
+            });
+          }, 10);
+        });
+      });
+    });
+
+    var assertOuterExpiry = function(reentrantMutex, key, done) {
+      reentrantMutex.lock(key, { 'owner': 'o', 'expiry': 60000 }, function(err, outer) {
+        assert.equal(err, null);
+
+        reentrantMutex.lock(key, { 'owner': 'o', 'expiry': 100 }, function(err, inner) {
+          assert.equal(err, null);
+
+          inner(function(err) {
+            assert.equal(err, null);
+            setTimeout(function() {
+              reentrantMutex.inspect(key, function(err, info) {
+                assert.equal(err, null);
+                assert.equal(info.locked, true);
+                assert.ok(info.pttl > 59000);
+                outer(done);
+              });
+            }, 150);
+          });
+        });
+      });
+    };
+
+    it('短いexpiryで再取得しても外側のleaseが短くならないこと', function(done) {
+      assertOuterExpiry(mutex, 'testKeyReentrantExpiry', done);
+    });
+
+    it('MemoryStoreでも再取得で外側のleaseが短くならないこと', function(done) {
+      var reentrantMutex = mutex.createMutex();
+      reentrantMutex.setup({ 'redis': { 'stores': [new mutex.MemoryStore()] } }, function(err) {
+        assert.equal(err, null);
+        assertOuterExpiry(reentrantMutex, 'testKeyReentrantExpiry', done);
+      });
+    });
+
+    it('再取得したlockを2回unlockしても外側のlockは解放されないこと', function(done) {
+      var reentrantMutex = mutex.createMutex();
+      reentrantMutex.setup({ 'redis': { 'stores': [new mutex.MemoryStore()] } }, function(err) {
+        assert.equal(err, null);
+
+        reentrantMutex.lock('testKeyReentrantTwice', { 'owner': 'req-1' }, function(err, outer) {
+          assert.equal(err, null);
+
+          reentrantMutex.withLock('testKeyReentrantTwice', { 'owner': 'req-1' }, function(inner) {
+            return inner();
+          }).then(function() {
+            reentrantMutex.isLocked('testKeyReentrantTwice', function(err, locked) {
+              assert.equal(err, null);
+              assert.equal(locked, true);
+
+              reentrantMutex.lock('testKeyReentrantTwice', { 'owner': 'req-2', 'retry': 0 }, function(err) {
+                assert.ok(err);
+
+                outer(function(err, alreadyUnlocked) {
+                  assert.equal(err, null);
+                  assert.equal(alreadyUnlocked, false);
+
+                  outer(function(err, alreadyUnlocked) {
+                    assert.equal(err, null);
+                    assert.equal(alreadyUnlocked, true);
+                    done();
+                  });
+                });
+              });
+            });
+          }).catch(done);
+        });
+      });
+    });
+  });
+
+  describe('expiry', function() {
+    var expiryMutex = mutex.createMutex();
+    var store = new mutex.MemoryStore();
+
+    before(function(done) {
+      expiryMutex.setup({
+        'expiry': 200,
+        'expiryOfKey': [
+          ['report:daily', 300],
+          ['report:*', 600],
+          [/^batch-\d+$/, 900]
+        ],
+        'redis': { 'stores': [store] }
+      }, done);
+    });
+
+    var assertExpiry = function(key, option, min, max, callback) {
+      expiryMutex.lock(key, option, function(err, unlock) {
+        assert.equal(err, null);
+
+        expiryMutex.inspect(key, function(err, info) {
+          assert.equal(err, null);
+          assert.ok(info.pttl > min && info.pttl <= max, key + ' pttl = ' + info.pttl);
+          unlock(callback);
+        });
+      });
+    };
+
+    it('最初にmatchしたexpiryOfKeyのルールが使われること', function(done) {
+      assertExpiry('report:daily', {}, 200, 300, function() {
+        assertExpiry('report:weekly', {}, 500, 600, function() {
+          assertExpiry('batch-1', {}, 800, 900, function() {
+            assertExpiry('batch-x', {}, 100, 200, done);
+          });
+        });
+      });
+    });
+
+    it('lockのoption.expiryが優先されること', function(done) {
+      assertExpiry('report:weekly', { 'expiry': 1500 }, 1400, 1500, done);
+    });
+
+    it('downになったstoreは保持中のlockの最長expiryまでブロックされること', function(done) {
+      expiryMutex.lock('testKeyLongLease', { 'expiry': 1000 }, function(err) {
+        assert.equal(err, null);
+
+        store.emit('end');
+        store.emit('connect');
+        expiryMutex.lock('testKeyShortLease', { 'retry': 1 }, function(err) {
+          assert.ok(/blocked/.test(err.message));
+          var blockingTime = expiryMutex._getBlockingTime('testKeyShortLease');
+          assert.ok(blockingTime > 800 && blockingTime <= 1000, 'blockingTime = ' + blockingTime);
+          done();
+        });
+      });
+    });
+
+    it('downになったstoreはkeyに一致するexpiryOfKeyのexpiryまでブロックされること', function(done) {
+      var otherStore = new mutex.MemoryStore();
+      mutex.createMutex({
+        'expiry': 200,
+        'expiryOfKey': [['batch-*', 900]],
+        'redis': { 'stores': [otherStore] }
+      }, function(err, otherMutex) {
+        assert.equal(err, null);
+
+        otherStore.emit('end');
+        otherStore.emit('connect');
+        var blockingTime = otherMutex._getBlockingTime('batch-1');
+        assert.ok(blockingTime > 800 && blockingTime <= 900, 'blockingTime = ' + blockingTime);
+        // locks of batch-* can not conflict with other keys
+        blockingTime = otherMutex._getBlockingTime('testKeyShortLease');
+        assert.ok(blockingTime > 100 && blockingTime <= 200, 'blockingTime = ' + blockingTime);
+        otherMutex.close(done);
+      });
+    });
+
+    it('option.expiryとextendはmaxExpiryまでに制限され、downになったstoreはmaxExpiryまでブロックされること', function(done) {
+      var otherStore = new mutex.MemoryStore();
+      mutex.createMutex({
+        'expiry': 200,
+        'maxExpiry': 500,
+        'redis': { 'stores': [otherStore] }
+      }, function(err, otherMutex) {
+        assert.equal(err, null);
+
+        otherMutex.lock('testKeyMaxExpiry', { 'expiry': 1500 }, function(err, unlock) {
+          assert.equal(err, null);
+
+          unlock.extend(1500, function(err) {
+            assert.equal(err, null);
+            otherMutex.inspect('testKeyMaxExpiry', function(err, info) {
+              assert.equal(err, null);
+              assert.ok(info.pttl > 400 && info.pttl <= 500, 'pttl = ' + info.pttl);
+
+              otherStore.emit('end');
+              otherStore.emit('connect');
+              var blockingTime = otherMutex._getBlockingTime('testKeyOther');
+              assert.ok(blockingTime > 400 && blockingTime <= 500, 'blockingTime = ' + blockingTime);
+              otherMutex.close(done);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('tryLock, waitUntilFree', function() {
+    var tryMutex = mutex.createMutex();
+
+    before(function(done) {
+      tryMutex.setup({
+        'interval': 1000,
+        'redis': { 'stores': [new mutex.MemoryStore()] }
+      }, done);
+    });
+
+    it('tryLockは空いていればunlockを返すこと', function(done) {
+      tryMutex.tryLock('testKeyTry', function(err, unlock) {
+        assert.equal(err, null);
+        assert.equal(typeof unlock, 'function');
+        assert.equal(unlock.busy, false);
+        unlock(done);
+      });
+    });
+
+    it('tryLockはlock中なら待たずにLockBusyを返すこと', function(done) {
+      tryMutex.lock('testKeyTry', '1', { 'expiry': 1000 }, function(err, unlock) {
+        assert.equal(err, null);
+
+        var startTime = Date.now();
+        tryMutex.tryLock('testKeyTry', '1').then(function(busy) {
+          assert.ok(Date.now() - startTime < 100);
+          assert.ok(busy instanceof mutex.LockBusy);
+          assert.equal(busy.busy, true);
+          assert.equal(busy.lockKey, 'LOCKMAN#testKeyTry-1');
+          assert.ok(busy.pttl > 0 && busy.pttl <= 1000);
+          unlock(done);
+        }).catch(done);
+      });
+    });
+
+    it('lockのretry 0は1回だけ試行すること', function(done) {
+      tryMutex.lock('testKeyRetryZero', function(err, unlock) {
+        assert.equal(err, null);
+
+        var startTime = Date.now();
+        tryMutex.lock('testKeyRetryZero', { 'retry': 0 }, function(err) {
+          assert.equal(err.name, 'TimeoutError');
+          assert.ok(/attempts = 1/.test(err.message));
+          assert.ok(Date.now() - startTime < 100);
+          unlock(done);
+        });
+      });
+    });
+
+    it('waitUntilFreeはlockを取得せずに解放まで待つこと', function(done) {
+      tryMutex.lock('testKeyWait', function(err, unlock) {
+        assert.equal(err, null);
+
+        var startTime = Date.now();
+        tryMutex.waitUntilFree('testKeyWait', function(err) {
+          assert.equal(err, null);
+          assert.ok(Date.now() - startTime < 500); // woken up by release notification
+          assert.equal(tryMutex.heldLocks.length, 0);
+
+          tryMutex.isLocked('testKeyWait', function(err, locked) {
+            assert.equal(err, null);
+            assert.equal(locked, false);
+            done();
+          });
+        });
+        setTimeout(unlock, 50);
+      });
+    });
+
+    it('waitUntilFreeはacquireTimeoutを過ぎるとエラーになること', function(done) {
+      tryMutex.lock('testKeyWaitTimeout', function(err, unlock) {
+        assert.equal(err, null);
+
+        tryMutex.waitUntilFree('testKeyWaitTimeout', { 'acquireTimeout': 100 }, function(err) {
+          assert.equal(err.name, 'TimeoutError');
+          unlock(done);
+        });
+      });
+    });
+  });
+
+  describe('barrier, latch', function() {
+    var barrierMutex = mutex.createMutex();
+
+    before(function(done) {
+      barrierMutex.setup({
+        'interval': 20,
+        'keyPrefix': 'BPREFIX#',
+        'redis': {
+          'clients': [RedisSentinel.createClient(SENTINEL_CONF)]
+        }
+      }, done);
+    });
+
+    it('partiesが揃うまで待ち、揃ったら全員が通過すること', function(done) {
+      var passed = [];
+      var pass = function(index) {
+        return function(err) {
+          assert.equal(err, null);
+          passed.push(index);
+          if (passed.length === 3) {
+            assert.equal(passed.indexOf(2) >= 0, true);
+            done();
+          }
+        };
+      };
+      barrierMutex.barrier('testBarrier', 3, pass(0));
+      barrierMutex.barrier('testBarrier', 3, pass(1));
+      setTimeout(function() {
+        assert.deepEqual(passed, []);
+        barrierMutex.barrier('testBarrier', 3, pass(2));
+      }, 100);
+    });
+
+    it('acquireTimeoutを過ぎるとTimeoutErrorになり、到着が取り消されること', function(done) {
+      barrierMutex.barrier('testBarrierTimeout', 2, { 'acquireTimeout': 100 }, function(err) {
+        assert.equal(err.name, 'TimeoutError');
+
+        barrierMutex.barrier('testBarrierTimeout', 2, { 'acquireTimeout': 100 }).then(function() {
+          done(new Error('barrier is passed by one party'));
+        }, function(err) {
+          assert.equal(err.name, 'TimeoutError');
+          done();
+        });
+      });
+    });
+
+    it('signalで中断すると到着が取り消されること', function(done) {
+      var controller = new AbortController();
+      barrierMutex.barrier('testBarrierAbort', 2, { 'signal': controller.signal }, function(err) {
+        assert.equal(err.name, 'AbortError');
+
+        barrierMutex.barrier('testBarrierAbort', 2, { 'acquireTimeout': 100 }).then(function() {
+          done(new Error('barrier is passed by one party'));
+        }, function(err) {
+          assert.equal(err.name, 'TimeoutError');
+          done();
+        });
+      });
+      setTimeout(function() {
+        controller.abort();
+      }, 50);
+    });
+
+    it('待っている間はexpiryを過ぎても到着が残ること', function(done) {
+      var passed = 0;
+      var pass = function(err) {
+        assert.equal(err, null);
+        if (++passed === 2) {
+          done();
+        }
+      };
+      barrierMutex.barrier('testBarrierRefresh', 2, { 'expiry': 100 }, pass);
+      setTimeout(function() {
+        barrierMutex.barrier('testBarrierRefresh', 2, { 'expiry': 100 }, pass);
+      }, 300);
+    });
+
+    it('awaitしている間はexpiryを過ぎてもcountが残ること', function(done) {
+      var latch = barrierMutex.latch('testLatchRefresh', 2, { 'expiry': 100 });
+      latch.await(function(err) {
+        assert.equal(err, null);
+        done();
+      });
+
+      latch.countDown(function(err, remaining) {
+        assert.equal(err, null);
+        assert.equal(remaining, 1);
+        setTimeout(function() {
+          latch.countDown(function(err, remaining) {
+            assert.equal(err, null);
+            assert.equal(remaining, 0);
+          });
+        }, 300);
+      });
+    });
+
+    it('countDownでcountが0になるとawaitが終わること', function(done) {
+      var latch = barrierMutex.latch('testLatch', 2);
+      var opened = false;
+      latch.await(function(err) {
+        assert.equal(err, null);
+        opened = true;
+      });
+
+      latch.countDown(function(err, remaining) {
+        assert.equal(err, null);
+        assert.equal(remaining, 1);
+
+        setTimeout(function() {
+          assert.equal(opened, false);
+          latch.countDown().then(function(remaining) {
+            assert.equal(remaining, 0);
+            return latch.getCount();
+          }).then(function(remaining) {
+            assert.equal(remaining, 0);
+            setTimeout(function() {
+              assert.equal(opened, true);
+              done();
+            }, 100);
+          }).catch(done);
+        }, 100);
+      });
+    });
+
+    it('開いたlatchはexpiryを過ぎても開いたままであること', function(done) {
+      var latch = barrierMutex.latch('testLatchOpened', 1, { 'expiry': 100 });
+      latch.countDown(function(err, remaining) {
+        assert.equal(err, null);
+        assert.equal(remaining, 0);
+
+        setTimeout(function() {
+          latch.await({ 'retry': 0 }, function(err) {
+            assert.equal(err, null);
+            latch.getCount(function(err, remaining) {
+              assert.equal(err, null);
+              assert.equal(remaining, 0);
+              done();
+            });
+          });
+        }, 300);
+      });
+    });
+
+    it('誰もawaitしていないとcountはexpiryを過ぎると初期値に戻ること', function(done) {
+      var latch = barrierMutex.latch('testLatchExpired', 2, { 'expiry': 100 });
+      latch.countDown(function(err, remaining) {
+        assert.equal(err, null);
+        assert.equal(remaining, 1);
+
+        setTimeout(function() {
+          latch.countDown(function(err, remaining) {
+            assert.equal(err, null);
+            assert.equal(remaining, 1);
+            done();
+          });
+        }, 300);
+      });
+    });
+
+    it('待っている間にstoreがfailoverになるとBrokenBarrierErrorになること', function(done) {
+      barrierMutex.barrier('testBarrierBroken', 2, function(err) {
+        assert.equal(err.name, 'BrokenBarrierError');
+        done();
+      });
+      setTimeout(function() {
+        barrierMutex.stores[0].emit('failover start');
+      }, 50);
+    });
+  });
 });
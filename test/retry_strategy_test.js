@@ -0,0 +1,57 @@
+var assert = require('assert');
+
+var RetryStrategy = require('../lib/retry_strategy');
+
+var ATTEMPTS = 100;
+
+describe('retry strategy', function() {
+  describe('next', function() {
+    it('fixedはintervalを返すこと', function() {
+      var strategy = new RetryStrategy('fixed', 100, 1000);
+      for (var i = 0; i < ATTEMPTS; i++) {
+        assert.equal(strategy.next(), 100);
+      }
+    });
+
+    it('exponentialは倍々に増えmaxIntervalで止まること', function() {
+      var strategy = new RetryStrategy('exponential', 100, 1000);
+      var delays = [];
+      for (var i = 0; i < 6; i++) {
+        delays.push(strategy.next());
+      }
+      assert.deepEqual(delays, [100, 200, 400, 800, 1000, 1000]);
+    });
+
+    it('fullJitterは0からexponentialの間であること', function() {
+      var strategy = new RetryStrategy('fullJitter', 100, 1000);
+      for (var i = 1; i <= ATTEMPTS; i++) {
+        var delay = strategy.next();
+        assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * Math.pow(2, i - 1)));
+      }
+    });
+
+    it('decorrelatedJitterはintervalからmaxIntervalの間であること', function() {
+      var strategy = new RetryStrategy('decorrelatedJitter', 100, 1000);
+      for (var i = 0; i < ATTEMPTS; i++) {
+        var delay = strategy.next();
+        assert.ok(delay >= 100 && delay <= 1000);
+      }
+    });
+
+    it('関数はattemptと前回のdelayで呼ばれること', function() {
+      var strategy = new RetryStrategy(function(attempt, previousDelay) {
+        return attempt * 10 + previousDelay;
+      }, 100, 1000);
+      assert.equal(strategy.next(), 110);
+      assert.equal(strategy.next(), 130);
+    });
+  });
+
+  describe('isValid', function() {
+    it('未知のstrategyはfalseであること', function() {
+      assert.equal(RetryStrategy.isValid('exponential'), true);
+      assert.equal(RetryStrategy.isValid(null), true);
+      assert.equal(RetryStrategy.isValid('linear'), false);
+    });
+  });
+});
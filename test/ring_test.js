@@ -0,0 +1,74 @@
+var assert = require('assert');
+
+var crypto = require('crypto');
+
+var HashRing = require('../lib/ring');
+
+var KEYS = 10000;
+
+describe('ring', function() {
+  describe('get', function() {
+    it('weightの比率でkeyが分散されること', function() {
+      var ring = new HashRing([
+        { 'id': 'a', 'weight': 1, 'index': 0 },
+        { 'id': 'b', 'weight': 3, 'index': 1 }
+      ]);
+      var counts = [0, 0];
+      for (var i = 0; i < KEYS; i++) {
+        counts[ring.get('key' + i)]++;
+      }
+      assert.ok(counts[1] / KEYS > 0.65 && counts[1] / KEYS < 0.85);
+    });
+
+    it('nodeを追加しても移動するkeyは追加したnodeの分だけであること', function() {
+      var before = new HashRing([
+        { 'id': 'a', 'index': 0 },
+        { 'id': 'b', 'index': 1 }
+      ]);
+      var after = new HashRing([
+        { 'id': 'a', 'index': 0 },
+        { 'id': 'b', 'index': 1 },
+        { 'id': 'c', 'index': 2 }
+      ]);
+      var moved = 0;
+      for (var i = 0; i < KEYS; i++) {
+        var index = after.get('key' + i);
+        if (before.get('key' + i) !== index) {
+          assert.equal(index, 2);
+          moved++;
+        }
+      }
+      assert.ok(moved / KEYS < 0.45);
+    });
+
+    it('weightが0のnodeにはkeyが割り当てられないこと', function() {
+      var ring = new HashRing([
+        { 'id': 'a', 'weight': 0, 'index': 0 },
+        { 'id': 'b', 'weight': 1, 'index': 1 }
+      ]);
+      for (var i = 0; i < KEYS; i++) {
+        assert.equal(ring.get('key' + i), 1);
+      }
+    });
+
+    it('nodeがない場合は-1を返すこと', function() {
+      var ring = new HashRing([]);
+      assert.equal(ring.get('key'), -1);
+    });
+  });
+
+  describe('ModuloRing', function() {
+    it('ringより前のversionと同じRedisにkeyが割り当てられること', function() {
+      var ring = new HashRing.ModuloRing([{ 'index': 0 }, { 'index': 1 }, { 'index': 2 }]);
+      for (var i = 0; i < KEYS; i++) {
+        var digest = crypto.createHash('md5').update('key' + i).digest('hex');
+        assert.equal(ring.get('key' + i), parseInt(digest.substring(digest.length - 2), 16) % 3);
+      }
+    });
+
+    it('nodeがない場合は-1を返すこと', function() {
+      var ring = new HashRing.ModuloRing([]);
+      assert.equal(ring.get('key'), -1);
+    });
+  });
+});